@@ -0,0 +1,78 @@
+// Bot-vs-bot matches in Node, no browser needed
+//
+//   npm run simulate -- --matches 20 --seed 42 --rock hard --paper easy
+//
+// --matches N     how many matches (default 1); match i uses seed + i
+// --seed S        first match seed (default: random)
+// --difficulty D  every army's bot difficulty (easy / normal / hard)
+// --rock D, --paper D, --scissors D   one army's difficulty
+// --max-time S    simulated seconds before a match is a draw (default 600)
+// --verbose       keep the game's own console logging
+import { HeadlessMatch } from '../src/headless/HeadlessMatch.js';
+import { generateSeed } from '../src/game/Random.js';
+import { SOLDIER_TYPES, BOT_DIFFICULTIES, TYPE_ICONS } from '../src/utils/constants.js';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = value;
+            i++;
+        }
+    }
+    return args;
+}
+
+function difficultyArg(value, name) {
+    if (value === undefined) return undefined;
+    if (!Object.values(BOT_DIFFICULTIES).includes(value)) {
+        throw new Error(`--${name} must be one of: ${Object.values(BOT_DIFFICULTIES).join(', ')}`);
+    }
+    return value;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const matches = Number(args.matches) || 1;
+const firstSeed = args.seed !== undefined ? Number(args.seed) >>> 0 : generateSeed();
+const maxDuration = Number(args['max-time']) || undefined;
+
+const difficulties = {};
+Object.values(SOLDIER_TYPES).forEach(type => {
+    difficulties[type] = difficultyArg(args[type], type) ||
+        difficultyArg(args.difficulty, 'difficulty') ||
+        BOT_DIFFICULTIES.NORMAL;
+});
+
+// The game logs every spawn and pickup, which drowns the results
+const log = console.log;
+if (!args.verbose) console.log = () => {};
+
+const wins = {};
+Object.values(SOLDIER_TYPES).forEach(type => { wins[type] = 0; });
+wins.draw = 0;
+let totalBattleTime = 0;
+
+log(`⚔️ ${matches} match(es): ${Object.entries(difficulties).map(([type, d]) => `${TYPE_ICONS[type]} ${d}`).join('  ')}`);
+
+for (let i = 0; i < matches; i++) {
+    const seed = (firstSeed + i) >>> 0;
+    const result = new HeadlessMatch({ seed, difficulties, maxDuration }).run();
+
+    wins[result.winner || 'draw']++;
+    totalBattleTime += result.battleTime;
+
+    const armies = Object.entries(result.armies)
+        .map(([type, a]) => `${TYPE_ICONS[type]} ${a.soldiers} (+${a.converted} -${a.lost}, ${a.powerUps}⭐)`)
+        .join('  ');
+    const winner = result.winner ? `${TYPE_ICONS[result.winner]} ${result.winner}` : 'draw';
+    log(`🎲 ${seed}  🏆 ${winner.padEnd(12)} ${result.battleTime.toFixed(1).padStart(6)}s  ${armies}`);
+}
+
+if (matches > 1) {
+    const summary = Object.entries(wins).map(([key, n]) => `${TYPE_ICONS[key] || key} ${n}`).join('  ');
+    log(`\n📊 Wins: ${summary}  |  average battle ${(totalBattleTime / matches).toFixed(1)}s`);
+}
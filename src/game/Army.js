@@ -1,11 +1,9 @@
 // Army - Group of soldiers with leader and following mechanics
-import * as THREE from 'three';
 import { Soldier } from './Soldier.js';
-import { GAME_CONFIG, SOLDIER_TYPES, COLORS } from '../utils/constants.js';
+import { GAME_CONFIG, SOLDIER_TYPES, POWERUP_TYPES } from '../utils/constants.js';
 
 export class Army {
-    constructor(scene, type, isLocal, arena) {
-        this.scene = scene;
+    constructor(type, isLocal, arena) {
         this.type = type;
         this.isLocal = isLocal;
         this.arena = arena;
@@ -18,6 +16,8 @@ export class Army {
         this.speedMultiplier = 1;
         this.isReversed = false;
         this.magnetActive = false;
+        this.activeEffects = new Map(); // effect type -> { remaining (s), onEnd, multiplier }
+        this.onEffectEnd = null; // (army, effectType) => void, set by Game
 
         // Lost soldiers tracker
         this.maxSoldiers = GAME_CONFIG.SOLDIERS_PER_ARMY;
@@ -28,23 +28,11 @@ export class Army {
         this.createSoldiers();
     }
 
-    createSoldiers() {
-        // Create leader first
-        this.leader = new Soldier(this.scene, this.type, true);
-        this.soldiers.push(this.leader);
-
-        // Create regular soldiers
-        for (let i = 1; i < GAME_CONFIG.SOLDIERS_PER_ARMY; i++) {
-            const soldier = new Soldier(this.scene, this.type, false);
-            this.soldiers.push(soldier);
-        }
-    }
-
     setSpawnPosition(centerX, centerZ) {
         const spacing = GAME_CONFIG.FOLLOW_DISTANCE * 1.8;
 
         // Leader at center
-        this.leader.setPosition(centerX, GAME_CONFIG.SOLDIER_SIZE, centerZ);
+        this.leader.setPosition(centerX, centerZ);
 
         // Others in formation
         const others = this.soldiers.filter(s => !s.isLeader);
@@ -54,11 +42,27 @@ export class Army {
             const angle = angleStep * i;
             const x = centerX + Math.cos(angle) * spacing;
             const z = centerZ + Math.sin(angle) * spacing;
-            soldier.setPosition(x, GAME_CONFIG.SOLDIER_SIZE, z);
+            soldier.setPosition(x, z);
+        });
+    }
+
+    beginTick() {
+        this.soldiers.forEach(soldier => soldier.beginTick());
+    }
+
+    // Per tick: effect durations and conversions in progress
+    updateTimers(step) {
+        this.activeEffects.forEach((effect, type) => {
+            effect.remaining -= step;
+            if (effect.remaining <= 0) this.endEffect(type);
         });
+
+        // A finished conversion moves the soldier out of this list
+        [...this.soldiers].forEach(soldier => soldier.updateConversion(step));
     }
 
-    update(delta, input, arena) {
+    // Movement only (no animation) - also used by client prediction replays
+    simulate(delta, input, arena) {
         if (!input || this.soldiers.length === 0) return;
 
         // Calculate speed
@@ -67,7 +71,7 @@ export class Army {
         const speedMult = Math.max(sizePenalty, GAME_CONFIG.MIN_SPEED_MULTIPLIER);
 
         // Zone effect
-        const leaderPos = this.leader ? this.leader.getPosition() : new THREE.Vector3();
+        const leaderPos = this.leader ? this.leader.getPosition() : { x: 0, z: 0 };
         const zoneMult = arena.getSlowMultiplier ? arena.getSlowMultiplier(leaderPos.x, leaderPos.z) : 1;
 
         const finalSpeed = baseSpeed * speedMult * zoneMult * this.speedMultiplier;
@@ -87,25 +91,22 @@ export class Army {
 
         // Move followers
         this.updateFollowers(delta, finalSpeed, arena);
-
-        // Animate all soldiers
-        this.soldiers.forEach(soldier => soldier.update(delta));
     }
 
     moveLeader(delta, inputX, inputZ, speed, arena) {
         if (!this.leader) return;
 
         const movement = speed * delta;
-        let newX = this.leader.mesh.position.x + inputX * movement;
-        let newZ = this.leader.mesh.position.z + inputZ * movement;
+        let newX = this.leader.x + inputX * movement;
+        let newZ = this.leader.z + inputZ * movement;
 
         // Wall collision
         const collision = arena.checkWallCollision(newX, newZ, GAME_CONFIG.SOLDIER_COLLISION_RADIUS);
         if (collision.collision) {
             if (Math.abs(collision.pushX) > Math.abs(collision.pushZ)) {
-                newX = this.leader.mesh.position.x;
+                newX = this.leader.x;
             } else {
-                newZ = this.leader.mesh.position.z;
+                newZ = this.leader.z;
             }
         }
 
@@ -115,12 +116,11 @@ export class Army {
         newX = Math.max(-ARENA_WIDTH / 2 + margin, Math.min(ARENA_WIDTH / 2 - margin, newX));
         newZ = Math.max(-ARENA_HEIGHT / 2 + margin, Math.min(ARENA_HEIGHT / 2 - margin, newZ));
 
-        this.leader.mesh.position.x = newX;
-        this.leader.mesh.position.z = newZ;
+        this.leader.setPosition(newX, newZ);
 
         // Rotate to face movement
         if (inputX !== 0 || inputZ !== 0) {
-            this.leader.mesh.rotation.y = Math.atan2(inputX, inputZ);
+            this.leader.facing = Math.atan2(inputX, inputZ);
         }
     }
 
@@ -131,26 +131,23 @@ export class Army {
             const target = index === 0 ? this.leader : followers[index - 1];
             if (!target) return;
 
-            const targetPos = target.mesh.position;
-            const currentPos = soldier.mesh.position;
-
-            const dx = targetPos.x - currentPos.x;
-            const dz = targetPos.z - currentPos.z;
+            const dx = target.x - soldier.x;
+            const dz = target.z - soldier.z;
             const distance = Math.sqrt(dx * dx + dz * dz);
 
             if (distance > GAME_CONFIG.FOLLOW_DISTANCE) {
                 const moveSpeed = speed * GAME_CONFIG.FOLLOW_SMOOTHING * (1 + (distance - GAME_CONFIG.FOLLOW_DISTANCE));
 
-                let newX = currentPos.x + (dx / distance) * moveSpeed;
-                let newZ = currentPos.z + (dz / distance) * moveSpeed;
+                let newX = soldier.x + (dx / distance) * moveSpeed;
+                let newZ = soldier.z + (dz / distance) * moveSpeed;
 
                 // Collision
                 const collision = arena.checkWallCollision(newX, newZ, GAME_CONFIG.SOLDIER_COLLISION_RADIUS);
                 if (collision.collision) {
                     if (Math.abs(collision.pushX) > Math.abs(collision.pushZ)) {
-                        newX = currentPos.x;
+                        newX = soldier.x;
                     } else {
-                        newZ = currentPos.z;
+                        newZ = soldier.z;
                     }
                 }
 
@@ -160,20 +157,15 @@ export class Army {
                 newX = Math.max(-ARENA_WIDTH / 2 + margin, Math.min(ARENA_WIDTH / 2 - margin, newX));
                 newZ = Math.max(-ARENA_HEIGHT / 2 + margin, Math.min(ARENA_HEIGHT / 2 - margin, newZ));
 
-                soldier.mesh.position.x = newX;
-                soldier.mesh.position.z = newZ;
+                soldier.setPosition(newX, newZ);
 
                 if (dx !== 0 || dz !== 0) {
-                    soldier.mesh.rotation.y = Math.atan2(dx, dz);
+                    soldier.facing = Math.atan2(dx, dz);
                 }
             }
         });
     }
 
-    updatePlacement(delta) {
-        this.soldiers.forEach(soldier => soldier.update(delta));
-    }
-
     addSoldier(soldier) {
         this.soldiers.push(soldier);
     }
@@ -184,10 +176,9 @@ export class Army {
             this.soldiers.splice(index, 1);
 
             // If leader removed, promote new one
-            if (soldier.isLeader && this.soldiers.length > 0) {
+            if (soldier.isLeader) {
+                soldier.setLeader(false);
                 this.promoteNewLeader();
-            } else if (soldier.isLeader) {
-                this.leader = null;
             }
         }
     }
@@ -198,55 +189,105 @@ export class Army {
             return;
         }
 
-        const newLeader = this.soldiers[0];
-        newLeader.isLeader = true;
-        this.leader = newLeader;
-
-        // Update appearance
-        const size = GAME_CONFIG.LEADER_SIZE / GAME_CONFIG.SOLDIER_SIZE;
-        newLeader.mesh.scale.setScalar(size);
+        this.promoteLeader(this.soldiers[0]);
+    }
 
-        // Update color using imported COLORS
-        if (newLeader.modelMesh && newLeader.modelMesh.material) {
-            newLeader.modelMesh.material.color.setHex(COLORS[this.type].light);
+    // Make `soldier` the leader (the host decides who; clients follow)
+    promoteLeader(soldier) {
+        if (this.leader && this.leader !== soldier) {
+            this.leader.setLeader(false);
         }
+        soldier.setLeader(true);
+        this.leader = soldier;
+    }
+
+    // Create a soldier with a host-given id (reinforcements, resyncs)
+    spawnSoldier(id, x, z, isLeader = false) {
+        const soldier = new Soldier(this.type, false, id);
+        soldier.setPosition(x, z);
+        this.soldiers.push(soldier);
+        if (isLeader) this.promoteLeader(soldier);
+        return soldier;
+    }
+
+    despawnSoldier(soldier) {
+        this.removeSoldier(soldier);
     }
 
     // Power-up methods
     activateSpeedBoost(duration, multiplier) {
         this.speedMultiplier = multiplier;
-        setTimeout(() => { this.speedMultiplier = 1; }, duration * 1000);
+        this.trackEffect(POWERUP_TYPES.SPEED_BOOST, duration, () => { this.speedMultiplier = 1; }, { multiplier });
     }
 
     activateInvincibility(duration) {
         this.isInvincible = true;
-
-        this.soldiers.forEach(s => {
-            if (s.modelMesh && s.modelMesh.material) {
-                s.modelMesh.material.emissive = new THREE.Color(0xffd700);
-                s.modelMesh.material.emissiveIntensity = 0.5;
-            }
-        });
-
-        setTimeout(() => {
-            this.isInvincible = false;
-            this.soldiers.forEach(s => {
-                if (s.modelMesh && s.modelMesh.material) {
-                    s.modelMesh.material.emissive = new THREE.Color(0x000000);
-                    s.modelMesh.material.emissiveIntensity = 0;
-                }
-            });
-        }, duration * 1000);
+        this.trackEffect(POWERUP_TYPES.INVINCIBILITY, duration, () => { this.isInvincible = false; });
     }
 
     activateReverseControl(duration) {
         this.isReversed = true;
-        setTimeout(() => { this.isReversed = false; }, duration * 1000);
+        this.trackEffect(POWERUP_TYPES.REVERSE_CONTROL, duration, () => { this.isReversed = false; });
     }
 
     activateMagnet(duration) {
         this.magnetActive = true;
-        setTimeout(() => { this.magnetActive = false; }, duration * 1000);
+        this.trackEffect(POWERUP_TYPES.MAGNET_AURA, duration, () => { this.magnetActive = false; });
+    }
+
+    // Re-collecting an effect restarts its timer instead of stacking
+    trackEffect(type, duration, onEnd, extra = {}) {
+        this.activeEffects.set(type, { remaining: duration, onEnd, ...extra });
+    }
+
+    endEffect(type) {
+        const effect = this.activeEffects.get(type);
+        if (!effect) return;
+
+        this.activeEffects.delete(type);
+        effect.onEnd();
+
+        if (this.onEffectEnd) this.onEffectEnd(this, type);
+    }
+
+    // [{ type, remaining (s), multiplier? }] for resyncing a rejoining client
+    getActiveEffects() {
+        return Array.from(this.activeEffects.entries()).map(([type, effect]) => ({
+            type,
+            remaining: Math.max(0, effect.remaining),
+            multiplier: effect.multiplier
+        }));
+    }
+
+    restoreEffects(effects) {
+        effects.forEach(({ type, remaining, multiplier }) => {
+            switch (type) {
+                case POWERUP_TYPES.SPEED_BOOST:
+                    this.activateSpeedBoost(remaining, multiplier);
+                    break;
+                case POWERUP_TYPES.INVINCIBILITY:
+                    this.activateInvincibility(remaining);
+                    break;
+                case POWERUP_TYPES.REVERSE_CONTROL:
+                    this.activateReverseControl(remaining);
+                    break;
+                case POWERUP_TYPES.MAGNET_AURA:
+                    this.activateMagnet(remaining);
+                    break;
+            }
+        });
+    }
+
+    clearEffects() {
+        this.activeEffects.clear();
+    }
+
+    // Replace the roster with the host's: [{ id, x, z, isLeader }]
+    rebuildSoldiers(soldierStates) {
+        this.soldiers = [];
+        this.leader = null;
+
+        soldierStates.forEach(({ id, x, z, isLeader }) => this.spawnSoldier(id, x, z, isLeader));
     }
 
     createSoldiers() {
@@ -254,46 +295,47 @@ export class Army {
 
         // Create leader first
         const leaderId = `${this.type}_LEADER`;
-        this.leader = new Soldier(this.scene, this.type, true, leaderId);
+        this.leader = new Soldier(this.type, true, leaderId);
         this.soldiers.push(this.leader);
 
         // Create regular soldiers
         for (let i = 1; i < GAME_CONFIG.SOLDIERS_PER_ARMY; i++) {
             const id = `${this.type}_${this.spawnCounter++}`;
-            const soldier = new Soldier(this.scene, this.type, false, id);
+            const soldier = new Soldier(this.type, false, id);
             this.soldiers.push(soldier);
         }
     }
 
     // ... (keep setSpawnPosition and other methods) ...
 
-    reinforceSoldiers(count) {
+    // Returns the new soldiers so the host can replicate them; `createId` names them, `random` places them
+    reinforceSoldiers(count, createId, random) {
         const currentCount = this.soldiers.length;
         const toAdd = Math.min(count, this.maxSoldiers - currentCount);
+        const spawned = [];
 
         for (let i = 0; i < toAdd; i++) {
-            // Use a high range for reinforcements to avoid ID collisions with initial spawn
-            // or just increment the global counter for this army
-            const id = `${this.type}_R_${Date.now()}_${i}`; // 'R' for reinforcement
-            const soldier = new Soldier(this.scene, this.type, false, id);
+            const soldier = new Soldier(this.type, false, createId(this.type));
 
             if (this.leader) {
                 const leaderPos = this.leader.getPosition();
-                const angle = Math.random() * Math.PI * 2;
+                const angle = random.angle();
                 const dist = GAME_CONFIG.FOLLOW_DISTANCE * 2;
                 soldier.setPosition(
                     leaderPos.x + Math.cos(angle) * dist,
-                    GAME_CONFIG.SOLDIER_SIZE,
                     leaderPos.z + Math.sin(angle) * dist
                 );
             }
 
             this.soldiers.push(soldier);
+            spawned.push(soldier);
         }
+
+        return spawned;
     }
 
     destroy() {
-        this.soldiers.forEach(soldier => soldier.destroy());
+        this.clearEffects();
         this.soldiers = [];
         this.leader = null;
     }
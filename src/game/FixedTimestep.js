@@ -0,0 +1,48 @@
+// FixedTimestep - Runs the simulation in equal steps whatever the frame rate
+//
+// Frame time goes into an accumulator and whole ticks are taken out of it,
+// so a 144Hz host and a 30Hz host simulate the same thing, and a hitch turns
+// into several small steps instead of one big one that tunnels through walls.
+// What is left over (alpha, 0..1) says how far the next tick is, for drawing
+// between the last two.
+
+export class FixedTimestep {
+    constructor(step, maxTicksPerFrame = 5) {
+        this.step = step; // s
+        this.maxTicksPerFrame = maxTicksPerFrame;
+        this.reset();
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.tick = 0; // ticks run since reset
+    }
+
+    // Simulated seconds since reset
+    get time() {
+        return this.tick * this.step;
+    }
+
+    /**
+     * Runs `onTick(step, tick)` as many times as `frameDelta` (s) allows and
+     * returns alpha. After a long stall (tab in the background) the backlog
+     * is dropped rather than replayed all at once.
+     */
+    advance(frameDelta, onTick) {
+        this.accumulator += frameDelta;
+
+        let ticks = 0;
+        while (this.accumulator >= this.step) {
+            if (ticks === this.maxTicksPerFrame) {
+                this.accumulator = 0;
+                break;
+            }
+            this.tick++;
+            onTick(this.step, this.tick);
+            this.accumulator -= this.step;
+            ticks++;
+        }
+
+        return this.accumulator / this.step;
+    }
+}
@@ -3,7 +3,11 @@ import * as THREE from 'three';
 import { Arena } from './Arena.js';
 import { Army } from './Army.js';
 import { PowerUpManager } from './PowerUpManager.js';
-import { SOLDIER_TYPES, GAME_STATES, GAME_CONFIG } from '../utils/constants.js';
+import { FixedTimestep } from './FixedTimestep.js';
+import { SpatialHash } from './SpatialHash.js';
+import { RandomStreams, RANDOM_STREAMS, generateSeed, getSeedFromUrl } from './Random.js';
+import { SceneView } from '../view/SceneView.js';
+import { SOLDIER_TYPES, GAME_STATES, GAME_CONFIG, BOT_DIFFICULTIES, BOT_PROFILES } from '../utils/constants.js';
 
 export class Game {
     constructor(app) {
@@ -19,9 +23,26 @@ export class Game {
         this.arena = null;
         this.powerUpManager = null;
 
+        // Draws the simulation each frame; headless runs have nothing to draw on
+        this.view = this.renderer ? new SceneView(this.scene, this) : null;
+
+        // Movement, collisions, power-ups and win checks run on fixed ticks;
+        // frames only draw between them
+        this.timestep = new FixedTimestep(1 / GAME_CONFIG.TICK_RATE, GAME_CONFIG.MAX_TICKS_PER_FRAME);
+
+        // Host / solo: where each army's soldiers stand, re-indexed every tick
+        this.soldierIndex = new Map(); // type -> SpatialHash
+
+        // All gameplay randomness, reseeded with the agreed seed every match
+        this.random = new RandomStreams();
+
+        // Spectator camera: null shows the whole arena, otherwise follows that army
+        this.spectatorFocus = null;
+
         // Solo test mode
         this.isSoloTest = false;
         this.aiUpdateTimers = new Map();
+        this.aiDecisions = new Map(); // type -> { input, time (simulated ms) }
 
         // Placement phase
         this.placementTimer = GAME_CONFIG.PLACEMENT_TIME;
@@ -43,12 +64,24 @@ export class Game {
     }
 
     setupInput() {
+        // Headless (no renderer): no window or canvas to listen on
+        if (!this.renderer) return;
+
         // Keyboard input
         window.addEventListener('keydown', (e) => {
+            // Typing in chat shouldn't move the army
+            if (e.target.tagName === 'INPUT') return;
+
             const key = e.key.toLowerCase();
             if (key in this.keys) {
                 this.keys[key] = true;
             }
+
+            // Spectators cycle camera focus with Tab
+            if (key === 'tab' && this.isSpectating()) {
+                e.preventDefault();
+                this.cycleSpectatorFocus();
+            }
         });
 
         window.addEventListener('keyup', (e) => {
@@ -86,7 +119,7 @@ export class Game {
         const localArmy = this.armies.get(this.localPlayerType);
         if (!localArmy) return;
 
-        const soldierMeshes = localArmy.soldiers.map(s => s.mesh);
+        const soldierMeshes = this.view.getMeshes(localArmy.soldiers);
         const intersects = this.raycaster.intersectObjects(soldierMeshes, true);
 
         if (intersects.length > 0) {
@@ -113,19 +146,12 @@ export class Game {
         this.raycaster.ray.intersectPlane(this.dragPlane, intersection);
 
         if (intersection) {
-            // Check if position is within spawn zone
-            const zone = this.arena.getSpawnZone(this.localPlayerType);
-            const halfW = zone.width / 2;
-            const halfH = zone.height / 2;
-
             // Clamp to spawn zone
-            const x = Math.max(zone.x - halfW + 1, Math.min(zone.x + halfW - 1, intersection.x));
-            const z = Math.max(zone.z - halfH + 1, Math.min(zone.z + halfH - 1, intersection.z));
+            const { x, z } = this.arena.clampToSpawnZone(this.localPlayerType, intersection.x, intersection.z);
 
             // Don't allow in neutral zone
             if (!this.arena.isInNeutralZone(x, z)) {
-                this.draggedSoldier.mesh.position.x = x;
-                this.draggedSoldier.mesh.position.z = z;
+                this.draggedSoldier.setPosition(x, z);
             }
         }
     }
@@ -134,6 +160,11 @@ export class Game {
         if (this.draggedSoldier) {
             this.draggedSoldier.isDragging = false;
             this.draggedSoldier = null;
+
+            // Share the new layout (host validates it)
+            if (!this.isSoloTest) {
+                this.app.network.sendPlacement();
+            }
         }
     }
 
@@ -165,28 +196,39 @@ export class Game {
         this.startGame(this.localPlayerType);
     }
 
-    // Initialize a new game
-    startGame(playerType) {
+    // Initialize a new game; the host's seed in multiplayer, ?seed= or a fresh one solo
+    startGame(playerType, seed = getSeedFromUrl() ?? generateSeed()) {
         console.log('🎮 Starting game as:', playerType);
+        console.log(`🎲 Match seed: ${seed >>> 0} (replay with ?seed=${seed >>> 0})`);
+        this.random.reseed(seed);
 
         this.localPlayerType = playerType;
         this.state = GAME_STATES.PLACEMENT;
         this.placementTimer = GAME_CONFIG.PLACEMENT_TIME;
         this.isReady = false;
 
+        // Simulated time starts over, and AI timers with it
+        this.timestep.reset();
+        this.aiDecisions.clear();
+        this.aiUpdateTimers.clear();
+
         // Reset keys
         this.keys = { w: false, a: false, s: false, d: false };
 
         // Clear previous game
         this.cleanup();
+        this.resetCamera();
 
         // Create arena
-        this.arena = new Arena(this.scene);
+        this.arena = new Arena();
 
         // Create armies
         Object.values(SOLDIER_TYPES).forEach(type => {
             const isLocal = type === playerType;
-            const army = new Army(this.scene, type, isLocal, this.arena);
+            const army = new Army(type, isLocal, this.arena);
+            army.onEffectEnd = (endedArmy, effect) => {
+                if (!this.isSoloTest) this.app.network.sendEffectEnd(endedArmy.type, effect);
+            };
             this.armies.set(type, army);
 
             const spawnZone = this.arena.getSpawnZone(type);
@@ -194,7 +236,7 @@ export class Game {
         });
 
         // Power-up manager
-        this.powerUpManager = new PowerUpManager(this.scene, this);
+        this.powerUpManager = new PowerUpManager(this);
 
         // Update UI
         this.app.ui.showPlacementUI();
@@ -203,42 +245,123 @@ export class Game {
     startBattle() {
         console.log('⚔️ Battle begins!');
         this.state = GAME_STATES.PLAYING;
+        this.indexSoldiers(); // so bots can look around on the first tick
         this.app.ui.showGameHUD();
         this.powerUpManager.startSpawning();
         this.app.audio.playClick();
     }
 
+    // Per frame: run whatever ticks are due, then draw
     update(delta) {
+        if (this.state === GAME_STATES.PLACEMENT || this.state === GAME_STATES.PLAYING) {
+            const alpha = this.timestep.advance(delta, (step) => this.tick(step));
+            if (this.view) this.render(delta, alpha);
+        }
+
+        if (this.isSpectating()) {
+            this.updateSpectatorCamera(delta);
+        }
+    }
+
+    // One fixed simulation step
+    tick(step) {
         if (this.state === GAME_STATES.PLACEMENT) {
-            this.updatePlacement(delta);
+            this.updatePlacement(step);
         } else if (this.state === GAME_STATES.PLAYING) {
-            this.updateGame(delta);
+            this.updateGame(step);
         }
     }
 
-    updatePlacement(delta) {
-        this.placementTimer -= delta;
+    // Animation and drawing between ticks; nothing here changes the outcome
+    render(delta, alpha) {
+        const playing = this.state === GAME_STATES.PLAYING;
+        if (playing && !this.isHostOrSolo()) {
+            this.app.network.applyInterpolation();
+        }
+
+        // Armies placed by snapshots are already where they should be drawn
+        this.view.sync(delta, type => {
+            const ticked = playing && (this.isHostOrSolo() || type === this.localPlayerType);
+            return ticked ? alpha : 1;
+        });
+
+        if (playing) this.updateSoldierCounts();
+    }
+
+    isSpectating() {
+        const inMatch = this.state === GAME_STATES.PLACEMENT || this.state === GAME_STATES.PLAYING;
+        return inMatch && !this.isSoloTest && !!this.app.network?.isSpectator;
+    }
+
+    setSpectatorFocus(type) {
+        this.spectatorFocus = type;
+        this.app.ui.updateSpectatorFocus(type);
+    }
+
+    cycleSpectatorFocus() {
+        const order = [null, ...Object.values(SOLDIER_TYPES)];
+        const next = order[(order.indexOf(this.spectatorFocus) + 1) % order.length];
+        this.setSpectatorFocus(next);
+    }
+
+    // Ease the camera toward the focused army's leader, or back to the overview
+    updateSpectatorCamera(delta) {
+        if (!this.camera) return; // headless
+
+        let x = 0;
+        let z = 0;
+        let zoom = 1;
+
+        const army = this.spectatorFocus && this.armies.get(this.spectatorFocus);
+        const target = army && (army.leader || army.soldiers[0]);
+        if (target) {
+            x = target.x;
+            z = target.z;
+            zoom = GAME_CONFIG.SPECTATOR_ZOOM;
+        }
+
+        const t = Math.min(1, delta * 5);
+        this.camera.position.x += (x - this.camera.position.x) * t;
+        this.camera.position.z += (z - this.camera.position.z) * t;
+        this.camera.zoom += (zoom - this.camera.zoom) * t;
+        this.camera.updateProjectionMatrix();
+    }
+
+    resetCamera() {
+        if (!this.camera) return; // headless
+
+        this.camera.position.set(0, 50, 0);
+        this.camera.zoom = 1;
+        this.camera.updateProjectionMatrix();
+    }
+
+    updatePlacement(step) {
+        this.placementTimer -= step;
         this.app.ui.updatePlacementTimer(Math.ceil(this.placementTimer));
 
-        if (Math.ceil(this.placementTimer) <= 3 && Math.ceil(this.placementTimer + delta) > Math.ceil(this.placementTimer)) {
+        if (Math.ceil(this.placementTimer) <= 3 && Math.ceil(this.placementTimer + step) > Math.ceil(this.placementTimer)) {
             this.app.audio.playCountdown(this.placementTimer <= 1);
         }
 
         if (this.placementTimer <= 0) {
-            this.startBattle();
-        }
+            this.placementTimer = 0;
 
-        // Update soldier animations during placement
-        this.armies.forEach(army => army.updatePlacement(delta));
+            // In multiplayer only the host decides when the battle starts
+            if (this.isSoloTest) {
+                this.startBattle();
+            } else {
+                this.app.network.beginBattle();
+            }
+        }
     }
 
-    updateGame(delta) {
+    updateGame(step) {
         // HOST Logic (or Solo)
         if (this.isHostOrSolo()) {
-            this.updateHost(delta);
+            this.updateHost(step);
         } else {
             // CLIENT Logic
-            this.updateClient(delta);
+            this.updateClient(step);
         }
     }
 
@@ -246,24 +369,28 @@ export class Game {
         return this.isSoloTest || !this.app.network || this.app.network.isHost;
     }
 
-    updateHost(delta) {
+    // Normalized WASD / arrow key direction
+    getKeyboardMovement() {
+        const movement = { x: 0, z: 0 };
+        if (this.keys.w || this.keys.arrowup) movement.z -= 1;
+        if (this.keys.s || this.keys.arrowdown) movement.z += 1;
+        if (this.keys.a || this.keys.arrowleft) movement.x -= 1;
+        if (this.keys.d || this.keys.arrowright) movement.x += 1;
+
+        if (movement.x !== 0 && movement.z !== 0) {
+            const length = Math.sqrt(movement.x * movement.x + movement.z * movement.z);
+            movement.x /= length;
+            movement.z /= length;
+        }
+        return movement;
+    }
+
+    updateHost(step) {
         // 1. Process Local Input
         const localArmy = this.armies.get(this.localPlayerType);
         const isEliminated = !localArmy || localArmy.soldiers.length === 0;
 
-        const movement = { x: 0, z: 0 };
-        if (!isEliminated) {
-            if (this.keys.w || this.keys.arrowup) movement.z -= 1;
-            if (this.keys.s || this.keys.arrowdown) movement.z += 1;
-            if (this.keys.a || this.keys.arrowleft) movement.x -= 1;
-            if (this.keys.d || this.keys.arrowright) movement.x += 1;
-
-            if (movement.x !== 0 && movement.z !== 0) {
-                const length = Math.sqrt(movement.x * movement.x + movement.z * movement.z);
-                movement.x /= length;
-                movement.z /= length;
-            }
-        }
+        const movement = isEliminated ? { x: 0, z: 0 } : this.getKeyboardMovement();
 
         // 2. Update All Armies (Logic & Physics)
         this.armies.forEach((army, type) => {
@@ -279,62 +406,87 @@ export class Game {
                 input = this.app.network.getPlayerInput(type);
             }
 
-            army.update(delta, input, this.arena);
+            army.beginTick();
+            army.simulate(step, input, this.arena);
+            army.updateTimers(step);
         });
 
         // 3. Run Systems (Collisions, PowerUps, AI checks, Win Cond)
+        // Everything from here asks "who is near whom"; bots on the next tick too
+        this.indexSoldiers();
         this.checkArmyCollisions();
-        this.powerUpManager.update(delta);
-        this.updateSoldierCounts();
+        this.powerUpManager.update(step);
         this.checkWinCondition();
     }
 
-    updateClient(delta) {
-        // CLIENT only sends input and visual updates
+    indexSoldiers() {
+        this.armies.forEach((army, type) => {
+            let index = this.soldierIndex.get(type);
+            if (!index) {
+                index = new SpatialHash(GAME_CONFIG.SPATIAL_CELL_SIZE);
+                this.soldierIndex.set(type, index);
+            }
+            index.rebuild(army.soldiers);
+        });
+    }
+
+    // Soldiers of army `type` closer than `radius` to (x, z), as of the last index
+    findSoldiersNear(type, x, z, radius) {
+        const index = this.soldierIndex.get(type);
+        return index ? index.query(x, z, radius) : [];
+    }
+
+    updateClient(step) {
+        // CLIENT predicts its own army; the rest comes from host snapshots (see render)
 
-        // 1. Send Local Input
+        // 1. Sample, send and locally apply our input (prediction)
         const localArmy = this.armies.get(this.localPlayerType);
         const isEliminated = !localArmy || localArmy.soldiers.length === 0;
 
-        const movement = { x: 0, z: 0 };
         if (!isEliminated) {
-            if (this.keys.w || this.keys.arrowup) movement.z -= 1;
-            if (this.keys.s || this.keys.arrowdown) movement.z += 1;
-            if (this.keys.a || this.keys.arrowleft) movement.x -= 1;
-            if (this.keys.d || this.keys.arrowright) movement.x += 1;
-
-            // Normalize
-            if (movement.x !== 0 && movement.z !== 0) {
-                const length = Math.sqrt(movement.x * movement.x + movement.z * movement.z);
-                movement.x /= length;
-                movement.z /= length;
+            const prediction = this.app.network.prediction;
+            const { input, isNew } = prediction.sample(this.timestep.time * 1000, () => this.getKeyboardMovement());
+            if (isNew) {
+                this.app.network.sendInput(input);
             }
 
-            // Send to Host (Throttled)
-            const now = Date.now();
-            if (!this.lastInputTime || now - this.lastInputTime > 50) { // Send ~20 times/sec
-                this.app.network.sendInput(movement);
-                this.lastInputTime = now;
-            }
+            localArmy.beginTick();
+            localArmy.simulate(step, input, this.arena);
+            prediction.advance(step);
         }
 
-        // 2. Visual Update Only (positions updated via NetworkManager sync)
-        // We still call update() to run animations (bobbing) but pass 0 input/no arena
-        // so physics doesn't override server positions
-        this.armies.forEach(army => {
-            // Only update visuals (animation)
-            army.soldiers.forEach(s => s.update(delta));
-        });
+        // 2. Effects the host started and conversions it announced
+        this.armies.forEach(army => army.updateTimers(step));
+    }
+
+    // AI steering for solo opponents, bots and abandoned armies
+    getAIInput(type, difficulty = BOT_DIFFICULTIES.NORMAL) {
+        const profile = BOT_PROFILES[difficulty] || BOT_PROFILES.normal;
 
-        // 3. UI Updates
-        this.updateSoldierCounts();
+        // Slower bots stick with their last decision for a while
+        const now = this.timestep.time * 1000;
+        const last = this.aiDecisions.get(type);
+        if (last && now - last.time < profile.reactionTime) return last.input;
+
+        const input = this.decideAIInput(type, profile);
+        this.aiDecisions.set(type, { input, time: now });
+        return input;
     }
 
-    getAIInput(type) {
+    decideAIInput(type, profile) {
         const army = this.armies.get(type);
         if (!army || !army.leader) return { x: 0, z: 0 };
 
-        const leaderPos = army.leader.getPosition();
+        const leader = army.leader;
+        const leaderPos = leader.getPosition();
+
+        // Unit vector toward (or away from) a point, off by up to aimError
+        const random = this.random.stream(RANDOM_STREAMS.AI);
+        const steer = (dx, dz) => {
+            const error = random.range(-1, 1) * profile.aimError;
+            const angle = Math.atan2(dz, dx) + error;
+            return { x: Math.cos(angle), z: Math.sin(angle) };
+        };
 
         // PRIORITY 1: Check for danger - armies that beat us
         let dangerPos = null;
@@ -346,22 +498,19 @@ export class Game {
             const winner = this.getRPSWinner(type, targetType);
             if (winner === targetType) {
                 // This army beats us - RUN!
-                targetArmy.soldiers.forEach(soldier => {
-                    const dist = leaderPos.distanceTo(soldier.mesh.position);
-                    if (dist < 10 && dist < dangerDistance) {
+                this.findSoldiersNear(targetType, leader.x, leader.z, profile.dangerRange + 2).forEach(soldier => {
+                    const dist = leader.horizontalDistanceTo(soldier);
+                    if (dist < dangerDistance) {
                         dangerDistance = dist;
-                        dangerPos = soldier.mesh.position.clone();
+                        dangerPos = soldier.getPosition();
                     }
                 });
             }
         });
 
         // If danger is close, RUN AWAY (highest priority)
-        if (dangerPos && dangerDistance < 8) {
-            const dx = leaderPos.x - dangerPos.x;
-            const dz = leaderPos.z - dangerPos.z;
-            const len = Math.sqrt(dx * dx + dz * dz) || 1;
-            return { x: dx / len, z: dz / len };
+        if (dangerPos && dangerDistance < profile.dangerRange) {
+            return steer(leaderPos.x - dangerPos.x, leaderPos.z - dangerPos.z);
         }
 
         // PRIORITY 2: Chase weaker enemies
@@ -375,57 +524,60 @@ export class Game {
             if (winner === type) {
                 // We beat this army - CHASE!
                 targetArmy.soldiers.forEach(soldier => {
-                    const dist = leaderPos.distanceTo(soldier.mesh.position);
+                    const dist = leader.horizontalDistanceTo(soldier);
                     if (dist < preyDistance) {
                         preyDistance = dist;
-                        preyPos = soldier.mesh.position.clone();
+                        preyPos = soldier.getPosition();
                     }
                 });
             }
         });
 
+        // Hard bots detour for a power-up that is closer than the prey
+        if (profile.seeksPowerUps && this.powerUpManager) {
+            this.powerUpManager.powerUps.forEach(powerUp => {
+                const dist = leader.horizontalDistanceTo(powerUp);
+                if (dist < preyDistance) {
+                    preyDistance = dist;
+                    preyPos = { x: powerUp.x, z: powerUp.z };
+                }
+            });
+        }
+
         // Chase prey
         if (preyPos) {
-            const dx = preyPos.x - leaderPos.x;
-            const dz = preyPos.z - leaderPos.z;
-            const len = Math.sqrt(dx * dx + dz * dz) || 1;
-            return { x: dx / len, z: dz / len };
+            return steer(preyPos.x - leaderPos.x, preyPos.z - leaderPos.z);
         }
 
         // PRIORITY 3: Wander randomly if no action needed
-        if (!this.aiUpdateTimers.has(type) || Date.now() - this.aiUpdateTimers.get(type) > 2000) {
-            this.aiUpdateTimers.set(type, Date.now());
+        const now = this.timestep.time * 1000;
+        if (!this.aiUpdateTimers.has(type) || now - this.aiUpdateTimers.get(type) > 2000) {
+            this.aiUpdateTimers.set(type, now);
             army.aiWanderDir = {
-                x: (Math.random() - 0.5) * 2,
-                z: (Math.random() - 0.5) * 2
+                x: random.range(-1, 1),
+                z: random.range(-1, 1)
             };
         }
         return army.aiWanderDir || { x: 0, z: 0 };
     }
 
+    // Each soldier only checks the enemies the index puts within reach
     checkArmyCollisions() {
         const armyArray = Array.from(this.armies.values());
+        const collisionDist = GAME_CONFIG.SOLDIER_COLLISION_RADIUS * 2;
 
         for (let i = 0; i < armyArray.length; i++) {
             for (let j = i + 1; j < armyArray.length; j++) {
                 const army1 = armyArray[i];
                 const army2 = armyArray[j];
 
-                const soldiers1 = [...army1.soldiers];
-                const soldiers2 = [...army2.soldiers];
-
-                for (const soldier1 of soldiers1) {
+                for (const soldier1 of [...army1.soldiers]) {
                     if (soldier1.isConverting) continue;
 
-                    for (const soldier2 of soldiers2) {
+                    for (const soldier2 of this.findSoldiersNear(army2.type, soldier1.x, soldier1.z, collisionDist)) {
                         if (soldier2.isConverting) continue;
-
-                        const distance = soldier1.mesh.position.distanceTo(soldier2.mesh.position);
-                        const collisionDist = GAME_CONFIG.SOLDIER_COLLISION_RADIUS * 2;
-
-                        if (distance < collisionDist) {
-                            this.handleCollision(soldier1, soldier2, army1, army2);
-                        }
+                        this.handleCollision(soldier1, soldier2, army1, army2);
+                        if (soldier1.isConverting) break; // lost this contact, the rest don't matter
                     }
                 }
             }
@@ -461,22 +613,30 @@ export class Game {
         return null;
     }
 
+    // The switch happens CONVERSION_TIME later, on a tick (see Army.updateTimers)
     convertSoldier(soldier, fromArmy, toArmy) {
-        soldier.isConverting = true;
         this.app.audio.playConvert();
 
-        soldier.playConversionEffect(() => {
-            fromArmy.removeSoldier(soldier);
-            toArmy.addSoldier(soldier);
-            soldier.changeType(toArmy.type);
-            soldier.isConverting = false;
+        soldier.startConversion(() => {
+            const oldLeader = fromArmy.leader;
+            this.transferSoldier(soldier, fromArmy, toArmy);
 
             if (!this.isSoloTest) {
                 this.app.network.sendConversion(soldier.id, fromArmy.type, toArmy.type);
+                if (fromArmy.leader && fromArmy.leader !== oldLeader) {
+                    this.app.network.sendLeaderPromoted(fromArmy.type, fromArmy.leader.id);
+                }
             }
         });
     }
 
+    // Move a soldier between armies without the conversion animation
+    transferSoldier(soldier, fromArmy, toArmy) {
+        fromArmy.removeSoldier(soldier);
+        toArmy.addSoldier(soldier);
+        soldier.changeType(toArmy.type);
+    }
+
     updateSoldierCounts() {
         const counts = {};
         this.armies.forEach((army, type) => {
@@ -500,19 +660,21 @@ export class Game {
         this.state = GAME_STATES.ENDED;
         this.powerUpManager.stopSpawning();
 
+        if (!this.isSoloTest) {
+            this.app.network.sendGameOver(winnerType);
+        }
+
         const winnerArmy = this.armies.get(winnerType);
         this.app.ui.showGameOver(winnerType, winnerArmy.soldiers.length);
         this.app.audio.playVictory();
     }
 
     cleanup() {
+        if (this.view) this.view.clear();
         this.armies.forEach(army => army.destroy());
         this.armies.clear();
 
-        if (this.arena) {
-            this.arena.destroy();
-            this.arena = null;
-        }
+        this.arena = null;
 
         if (this.powerUpManager) {
             this.powerUpManager.destroy();
@@ -522,6 +684,8 @@ export class Game {
 
     reset() {
         this.cleanup();
+        this.resetCamera();
+        this.setSpectatorFocus(null);
         this.state = GAME_STATES.MENU;
         this.localPlayerType = null;
         this.isSoloTest = false;
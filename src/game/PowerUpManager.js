@@ -1,15 +1,20 @@
-// PowerUpManager - Spawns and manages power-ups with unique 3D designs
-import * as THREE from 'three';
+// PowerUpManager - Spawns power-ups, hands out pickups and applies their effects
 import { GAME_CONFIG, POWERUP_TYPES, POWERUP_CONFIG } from '../utils/constants.js';
+import { RANDOM_STREAMS } from './Random.js';
+
+const PICKUP_RADIUS = 1.2;
 
 export class PowerUpManager {
-    constructor(scene, game) {
-        this.scene = scene;
+    constructor(game) {
         this.game = game;
 
         this.powerUps = [];
+        this.decoys = []; // { id, x, z, endsAt (simulated s) } from CLONE_LEADER
+        this.nextDecoyId = 0;
         this.isSpawning = false;
         this.spawnTimer = 0;
+        this.nextPowerUpId = 0;
+        this.nextReinforcementId = 0;
     }
 
     startSpawning() {
@@ -19,86 +24,149 @@ export class PowerUpManager {
 
     stopSpawning() {
         this.isSpawning = false;
-        this.powerUps.forEach(p => p.destroy());
         this.powerUps = [];
     }
 
-    update(delta) {
+    // Clients in multiplayer, or null (solo test / host-only calls)
+    get network() {
+        return this.game.isSoloTest ? null : this.game.app.network;
+    }
+
+    random(stream) {
+        return this.game.random.stream(stream);
+    }
+
+    // Host / solo, per simulation tick: spawns and pickups
+    update(step) {
         if (!this.isSpawning) return;
 
-        this.spawnTimer -= delta;
+        this.spawnTimer -= step;
         if (this.spawnTimer <= 0) {
             this.spawnPowerUp();
             this.spawnTimer = GAME_CONFIG.POWERUP_SPAWN_INTERVAL +
-                (Math.random() - 0.5) * GAME_CONFIG.POWERUP_SPAWN_VARIANCE * 2;
+                this.random(RANDOM_STREAMS.POWERUPS).range(-1, 1) * GAME_CONFIG.POWERUP_SPAWN_VARIANCE;
         }
 
-        this.powerUps.forEach(p => p.update(delta));
         this.checkCollection();
         this.powerUps = this.powerUps.filter(p => !p.isCollected);
+        this.pruneDecoys();
     }
 
     spawnPowerUp() {
-        const types = Object.values(POWERUP_TYPES);
-        const randomType = types[Math.floor(Math.random() * types.length)];
+        const random = this.random(RANDOM_STREAMS.POWERUPS);
+        const randomType = random.pick(Object.values(POWERUP_TYPES));
 
-        const position = this.game.arena.getRandomPowerUpPosition();
-        const powerUp = new PowerUp(this.scene, randomType, position.x, position.z);
-        this.powerUps.push(powerUp);
+        const position = this.game.arena.getRandomPowerUpPosition(random);
+        const powerUp = this.addPowerUp(randomType, position.x, position.z);
+        this.network?.sendPowerUpSpawn(powerUp);
 
         console.log('⭐ Power-up spawned:', randomType);
     }
 
+    addPowerUp(type, x, z, id = `pu_${this.nextPowerUpId++}`) {
+        // Mirrored ids push our counter past them, so a client promoted to host never reuses one
+        const number = Number(/^pu_(\d+)$/.exec(id)?.[1]);
+        if (number >= this.nextPowerUpId) this.nextPowerUpId = number + 1;
+
+        const powerUp = new PowerUp(type, x, z, id);
+        this.powerUps.push(powerUp);
+        return powerUp;
+    }
+
+    // Same for reinforcements: a promoted host only has the ones it mirrored,
+    // possibly converted into another army since, so count on past all of them
+    skipUsedReinforcementIds() {
+        this.game.armies.forEach(army => army.soldiers.forEach(soldier => {
+            const number = Number(/_R_(\d+)$/.exec(soldier.id)?.[1]);
+            if (number >= this.nextReinforcementId) this.nextReinforcementId = number + 1;
+        }));
+    }
+
+    // Uncollected orbs as [{ id, type, x, z }] for resyncing clients
+    getState() {
+        return this.powerUps
+            .filter(p => !p.isCollected)
+            .map(p => ({ id: p.id, type: p.type, x: p.x, z: p.z }));
+    }
+
+    setState(powerUps) {
+        this.powerUps = [];
+        powerUps.forEach(p => this.addPowerUp(p.type, p.x, p.z, p.id));
+    }
+
+    // Uses the game's soldier index: each orb only looks at soldiers next to it
     checkCollection() {
-        this.game.armies.forEach((army) => {
-            army.soldiers.forEach(soldier => {
-                const soldierPos = soldier.mesh.position;
-
-                this.powerUps.forEach(powerUp => {
-                    if (powerUp.isCollected) return;
-
-                    const dist = soldierPos.distanceTo(powerUp.mesh.position);
-                    if (dist < 1.2) {
-                        this.collectPowerUp(powerUp, army);
-                    }
-                });
+        this.powerUps.forEach(powerUp => {
+            this.game.armies.forEach((army, type) => {
+                if (powerUp.isCollected) return;
+                if (this.game.findSoldiersNear(type, powerUp.x, powerUp.z, PICKUP_RADIUS).length > 0) {
+                    this.collectPowerUp(powerUp, army);
+                }
             });
         });
     }
 
     collectPowerUp(powerUp, army) {
-        powerUp.collect();
-        this.game.app.audio.playPowerUp();
+        this.network?.sendPowerUpCollect(powerUp, army.type);
+        this.markCollected(powerUp, army.type);
         this.applyPowerUp(powerUp.type, army);
 
-        const config = POWERUP_CONFIG[powerUp.type];
-        this.game.app.ui.showPowerUpActive(config.icon, config.duration || 0);
-
         console.log('✨ Power-up collected:', powerUp.type, 'by', army.type);
     }
 
+    // The view plays the burst; the HUD timer only shows for the army that got it
+    markCollected(powerUp, armyType) {
+        powerUp.isCollected = true;
+        this.game.app.audio.playPowerUp();
+
+        if (armyType === this.game.localPlayerType) {
+            const config = POWERUP_CONFIG[powerUp.type];
+            this.game.app.ui.showPowerUpActive(config.icon, config.duration || 0);
+        }
+    }
+
+    // Client: the host says an orb was picked up
+    collectById(id, armyType) {
+        const powerUp = this.powerUps.find(p => p.id === id);
+        if (powerUp && !powerUp.isCollected) {
+            this.markCollected(powerUp, armyType);
+            this.powerUps = this.powerUps.filter(p => p !== powerUp);
+        }
+    }
+
     applyPowerUp(type, army) {
         const config = POWERUP_CONFIG[type];
 
         switch (type) {
             case POWERUP_TYPES.SPEED_BOOST:
                 army.activateSpeedBoost(config.duration, config.multiplier);
+                this.network?.sendEffectStart(army.type, type, config.duration, { multiplier: config.multiplier });
                 break;
 
             case POWERUP_TYPES.INVINCIBILITY:
                 army.activateInvincibility(config.duration);
+                this.network?.sendEffectStart(army.type, type, config.duration);
                 break;
 
-            case POWERUP_TYPES.REINFORCEMENT:
-                army.reinforceSoldiers(config.soldiersToRestore);
+            case POWERUP_TYPES.REINFORCEMENT: {
+                this.skipUsedReinforcementIds();
+                const spawned = army.reinforceSoldiers(
+                    config.soldiersToRestore,
+                    armyType => `${armyType}_R_${this.nextReinforcementId++}`, // 'R' for reinforcement
+                    this.random(RANDOM_STREAMS.REINFORCEMENTS)
+                );
+                this.network?.sendSpawn(army.type, spawned);
                 break;
+            }
 
             case POWERUP_TYPES.MAGNET_AURA:
                 army.activateMagnet(config.duration);
+                this.network?.sendEffectStart(army.type, type, config.duration);
                 break;
 
             case POWERUP_TYPES.SPLIT_FORMATION:
                 this.applySplitToEnemies(army, config.duration);
+                this.network?.sendEffectStart(army.type, type, config.duration);
                 break;
 
             case POWERUP_TYPES.CLONE_LEADER:
@@ -111,317 +179,101 @@ export class PowerUpManager {
         }
     }
 
+    // Client: mirror an effect the host started
+    applyRemoteEffect(armyType, type, duration, params = {}) {
+        const army = this.game.armies.get(armyType);
+        if (!army) return;
+
+        switch (type) {
+            case POWERUP_TYPES.SPEED_BOOST:
+                army.activateSpeedBoost(duration, params.multiplier);
+                break;
+            case POWERUP_TYPES.INVINCIBILITY:
+                army.activateInvincibility(duration);
+                break;
+            case POWERUP_TYPES.MAGNET_AURA:
+                army.activateMagnet(duration);
+                break;
+            case POWERUP_TYPES.REVERSE_CONTROL:
+                army.activateReverseControl(duration);
+                break;
+            case POWERUP_TYPES.CLONE_LEADER:
+                this.createDecoy(params.x, params.z, duration);
+                break;
+            case POWERUP_TYPES.SPLIT_FORMATION:
+                // Scattered positions arrive with the next snapshot
+                break;
+        }
+    }
+
     applySplitToEnemies(army) {
+        const random = this.random(RANDOM_STREAMS.EFFECTS);
         this.game.armies.forEach((enemyArmy, type) => {
             if (type === army.type) return;
 
             enemyArmy.soldiers.forEach(soldier => {
                 if (soldier.isLeader) return;
 
-                const angle = Math.random() * Math.PI * 2;
+                const angle = random.angle();
                 const force = 3;
-                soldier.mesh.position.x += Math.cos(angle) * force;
-                soldier.mesh.position.z += Math.sin(angle) * force;
+                soldier.x += Math.cos(angle) * force;
+                soldier.z += Math.sin(angle) * force;
             });
         });
     }
 
     createCloneLeader(army, duration) {
         const leaderPos = army.leader.getPosition();
+        const random = this.random(RANDOM_STREAMS.EFFECTS);
+        const x = leaderPos.x + random.range(-2, 2);
+        const z = leaderPos.z + random.range(-2, 2);
+
+        this.createDecoy(x, z, duration);
+        this.network?.sendEffectStart(army.type, POWERUP_TYPES.CLONE_LEADER, duration, { x, z });
+    }
 
-        const decoyGeometry = new THREE.SphereGeometry(GAME_CONFIG.LEADER_SIZE, 16, 16);
-        const decoyMaterial = new THREE.MeshStandardMaterial({
-            color: 0xffffff,
-            transparent: true,
-            opacity: 0.7
+    // Shown until `duration` simulated seconds from now; nothing targets it
+    createDecoy(x, z, duration) {
+        this.pruneDecoys();
+        this.decoys.push({
+            id: `decoy_${this.nextDecoyId++}`,
+            x,
+            z,
+            endsAt: this.game.timestep.time + duration
         });
+    }
 
-        const decoy = new THREE.Mesh(decoyGeometry, decoyMaterial);
-        decoy.position.copy(leaderPos);
-        decoy.position.x += (Math.random() - 0.5) * 4;
-        decoy.position.z += (Math.random() - 0.5) * 4;
-        this.scene.add(decoy);
-
-        const startTime = Date.now();
-        const animate = () => {
-            const elapsed = (Date.now() - startTime) / 1000;
-            if (elapsed < duration) {
-                decoy.position.y = 0.5 + Math.sin(elapsed * 5) * 0.1;
-                decoy.rotation.y += 0.1;
-                requestAnimationFrame(animate);
-            } else {
-                this.scene.remove(decoy);
-                decoyGeometry.dispose();
-                decoyMaterial.dispose();
-            }
-        };
-        animate();
+    pruneDecoys() {
+        const now = this.game.timestep.time;
+        this.decoys = this.decoys.filter(d => d.endsAt > now);
     }
 
     applyReverseToRandomEnemy(army, duration) {
         const enemyTypes = Array.from(this.game.armies.keys()).filter(t => t !== army.type);
         if (enemyTypes.length === 0) return;
 
-        const randomType = enemyTypes[Math.floor(Math.random() * enemyTypes.length)];
+        const randomType = this.random(RANDOM_STREAMS.EFFECTS).pick(enemyTypes);
         const enemyArmy = this.game.armies.get(randomType);
 
         if (enemyArmy) {
             enemyArmy.activateReverseControl(duration);
+            this.network?.sendEffectStart(enemyArmy.type, POWERUP_TYPES.REVERSE_CONTROL, duration);
         }
     }
 
     destroy() {
-        this.powerUps.forEach(p => p.destroy());
         this.powerUps = [];
+        this.decoys = [];
     }
 }
 
-// Individual Power-Up with unique 3D shapes
+// An orb on the field (drawn by view/PowerUpView.js)
 class PowerUp {
-    constructor(scene, type, x, z) {
-        this.scene = scene;
+    constructor(type, x, z, id) {
         this.type = type;
+        this.id = id;
+        this.x = x;
+        this.z = z;
         this.isCollected = false;
-
-        this.mesh = this.createMesh();
-        this.mesh.position.set(x, 0.8, z);
-        this.scene.add(this.mesh);
-
-        this.startTime = Date.now();
-    }
-
-    createMesh() {
-        const config = POWERUP_CONFIG[this.type];
-        const size = GAME_CONFIG.POWERUP_SIZE || 0.5;
-
-        // Create unique shape based on power-up type
-        const group = new THREE.Group();
-        let geometry;
-
-        switch (config.shape) {
-            case 'lightning':
-                geometry = this.createLightningShape(size);
-                break;
-            case 'shield':
-                geometry = this.createShieldShape(size);
-                break;
-            case 'plus':
-                geometry = this.createPlusShape(size);
-                break;
-            case 'magnet':
-                geometry = this.createMagnetShape(size);
-                break;
-            case 'star':
-                geometry = this.createStarShape(size);
-                break;
-            case 'person':
-                geometry = this.createPersonShape(size);
-                break;
-            case 'arrows':
-                geometry = this.createArrowsShape(size);
-                break;
-            default:
-                geometry = new THREE.OctahedronGeometry(size, 0);
-        }
-
-        const material = new THREE.MeshStandardMaterial({
-            color: config.color,
-            emissive: config.color,
-            emissiveIntensity: 0.6,
-            roughness: 0.2,
-            metalness: 0.7
-        });
-
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.castShadow = true;
-        group.add(mesh);
-
-        // Add glow effect
-        const glowGeometry = new THREE.SphereGeometry(size * 1.3, 16, 16);
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: config.color,
-            transparent: true,
-            opacity: 0.25
-        });
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        group.add(glow);
-        this.glow = glow;
-
-        this.innerMesh = mesh;
-        return group;
-    }
-
-    // ⚡ Lightning bolt shape
-    createLightningShape(size) {
-        const shape = new THREE.Shape();
-        shape.moveTo(0, size * 1.5);
-        shape.lineTo(size * 0.4, size * 0.3);
-        shape.lineTo(size * 0.15, size * 0.3);
-        shape.lineTo(size * 0.5, -size * 1.5);
-        shape.lineTo(0, -size * 0.2);
-        shape.lineTo(size * 0.25, -size * 0.2);
-        shape.lineTo(-size * 0.3, size * 1.5);
-        shape.closePath();
-
-        const extrudeSettings = { depth: size * 0.3, bevelEnabled: false };
-        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    }
-
-    // 🛡️ Shield shape
-    createShieldShape(size) {
-        const shape = new THREE.Shape();
-        shape.moveTo(0, size * 1.2);
-        shape.quadraticCurveTo(size * 1.2, size * 0.8, size * 1.2, 0);
-        shape.quadraticCurveTo(size * 1.2, -size * 0.8, 0, -size * 1.2);
-        shape.quadraticCurveTo(-size * 1.2, -size * 0.8, -size * 1.2, 0);
-        shape.quadraticCurveTo(-size * 1.2, size * 0.8, 0, size * 1.2);
-
-        const extrudeSettings = { depth: size * 0.25, bevelEnabled: true, bevelSize: size * 0.1, bevelThickness: size * 0.1 };
-        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    }
-
-    // 👥 Plus/Cross shape (Reinforcement)
-    createPlusShape(size) {
-        const shape = new THREE.Shape();
-        const w = size * 0.4;
-        const l = size * 1.2;
-
-        shape.moveTo(-w, l);
-        shape.lineTo(w, l);
-        shape.lineTo(w, w);
-        shape.lineTo(l, w);
-        shape.lineTo(l, -w);
-        shape.lineTo(w, -w);
-        shape.lineTo(w, -l);
-        shape.lineTo(-w, -l);
-        shape.lineTo(-w, -w);
-        shape.lineTo(-l, -w);
-        shape.lineTo(-l, w);
-        shape.lineTo(-w, w);
-        shape.closePath();
-
-        const extrudeSettings = { depth: size * 0.3, bevelEnabled: false };
-        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    }
-
-    // 🧲 U-shaped magnet
-    createMagnetShape(size) {
-        const shape = new THREE.Shape();
-        const outer = size * 1.2;
-        const inner = size * 0.6;
-        const height = size * 1.5;
-        const thickness = size * 0.35;
-
-        // Outer U
-        shape.moveTo(-outer, height);
-        shape.lineTo(-outer, -height * 0.3);
-        shape.quadraticCurveTo(-outer, -height, 0, -height);
-        shape.quadraticCurveTo(outer, -height, outer, -height * 0.3);
-        shape.lineTo(outer, height);
-        shape.lineTo(outer - thickness, height);
-        shape.lineTo(outer - thickness, -height * 0.3);
-        shape.quadraticCurveTo(outer - thickness, -height + thickness, 0, -height + thickness);
-        shape.quadraticCurveTo(-outer + thickness, -height + thickness, -outer + thickness, -height * 0.3);
-        shape.lineTo(-outer + thickness, height);
-        shape.closePath();
-
-        const extrudeSettings = { depth: size * 0.3, bevelEnabled: false };
-        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    }
-
-    // 💫 Star burst shape
-    createStarShape(size) {
-        const shape = new THREE.Shape();
-        const points = 6;
-        const outerRadius = size * 1.2;
-        const innerRadius = size * 0.5;
-
-        for (let i = 0; i < points * 2; i++) {
-            const angle = (i / (points * 2)) * Math.PI * 2 - Math.PI / 2;
-            const radius = i % 2 === 0 ? outerRadius : innerRadius;
-            const x = Math.cos(angle) * radius;
-            const y = Math.sin(angle) * radius;
-
-            if (i === 0) {
-                shape.moveTo(x, y);
-            } else {
-                shape.lineTo(x, y);
-            }
-        }
-        shape.closePath();
-
-        const extrudeSettings = { depth: size * 0.25, bevelEnabled: true, bevelSize: size * 0.05 };
-        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    }
-
-    // 👤 Person silhouette shape
-    createPersonShape(size) {
-        // Head
-        const headGeom = new THREE.SphereGeometry(size * 0.4, 16, 16);
-        const bodyGeom = new THREE.CapsuleGeometry(size * 0.3, size * 0.8, 8, 16);
-
-        // Merge into one - just use capsule for simplicity
-        return new THREE.CapsuleGeometry(size * 0.35, size * 1.2, 8, 16);
-    }
-
-    // 🔄 Rotating arrows shape
-    createArrowsShape(size) {
-        const shape = new THREE.Shape();
-        const r = size * 1.0;
-        const thickness = size * 0.25;
-
-        // Curved arrow - simplified as ring segment
-        return new THREE.TorusGeometry(r, thickness, 8, 16, Math.PI * 1.5);
-    }
-
-    update(delta) {
-        if (this.isCollected) return;
-
-        const time = (Date.now() - this.startTime) / 1000;
-
-        // Floating and rotating
-        this.mesh.position.y = 0.8 + Math.sin(time * 2.5) * 0.25;
-        this.mesh.rotation.y += delta * 1.5;
-
-        // Pulse glow
-        if (this.glow) {
-            this.glow.scale.setScalar(1 + Math.sin(time * 4) * 0.15);
-            this.glow.material.opacity = 0.2 + Math.sin(time * 4) * 0.1;
-        }
-    }
-
-    collect() {
-        this.isCollected = true;
-
-        const startScale = this.mesh.scale.x;
-        const startTime = Date.now();
-        const duration = 200;
-
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = elapsed / duration;
-
-            if (progress < 1) {
-                this.mesh.scale.setScalar(startScale * (1 + progress * 2));
-                if (this.innerMesh) this.innerMesh.material.opacity = 1 - progress;
-                if (this.glow) this.glow.material.opacity = 0.25 * (1 - progress);
-                requestAnimationFrame(animate);
-            } else {
-                this.destroy();
-            }
-        };
-        animate();
-    }
-
-    destroy() {
-        this.scene.remove(this.mesh);
-        if (this.innerMesh) {
-            if (this.innerMesh.geometry) this.innerMesh.geometry.dispose();
-            if (this.innerMesh.material) this.innerMesh.material.dispose();
-        }
-        if (this.glow) {
-            this.glow.geometry.dispose();
-            this.glow.material.dispose();
-        }
     }
 }
@@ -0,0 +1,91 @@
+// Random - Seeded randomness for everything that decides a match
+//
+// Gameplay never calls Math.random: each system draws from its own named
+// stream, all derived from one match seed. Streams are independent, so an
+// extra draw in one system (a new power-up, a chattier bot) doesn't shift
+// what the others get. The host picks the seed and sends it with game_start;
+// it is logged at match start, and `?seed=` replays a match with it.
+
+export const RANDOM_STREAMS = {
+    POWERUPS: 'powerups',             // spawn timing, type, position
+    EFFECTS: 'effects',               // power-up effects (scatter, decoy, reverse target)
+    REINFORCEMENTS: 'reinforcements', // where new soldiers appear
+    AI: 'ai'                          // bot aim error and wandering
+};
+
+// mulberry32: small, fast, and plenty for gameplay
+export class Random {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // 0 .. n - 1
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+
+    angle() {
+        return this.next() * Math.PI * 2;
+    }
+}
+
+// FNV-1a over the stream name, mixed with the match seed
+function streamSeed(seed, name) {
+    let hash = (0x811C9DC5 ^ seed) >>> 0;
+    for (let i = 0; i < name.length; i++) {
+        hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// Any u32; the one place that may use Math.random
+export function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// `?seed=123` forces the match seed, or null
+export function getSeedFromUrl() {
+    if (typeof window === 'undefined') return null;
+    const value = new URLSearchParams(window.location.search).get('seed');
+    if (value === null || !/^\d+$/.test(value)) return null;
+    return Number(value) >>> 0;
+}
+
+export class RandomStreams {
+    constructor(seed = generateSeed()) {
+        this.reseed(seed);
+    }
+
+    // New match: every stream starts over from the new seed
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.streams = new Map();
+    }
+
+    stream(name) {
+        let random = this.streams.get(name);
+        if (!random) {
+            random = new Random(streamSeed(this.seed, name));
+            this.streams.set(name, random);
+        }
+        return random;
+    }
+}
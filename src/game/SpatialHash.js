@@ -0,0 +1,67 @@
+// SpatialHash - Uniform grid for "what is near this point" queries
+//
+// Items (anything with x / z) are bucketed by the cell they stand in, so a
+// query only visits the few cells its circle overlaps instead of every item.
+// Rebuilt from scratch each tick: nearly everything moves every tick, so
+// that is cheaper than tracking moves.
+
+// Cell coordinates packed into one number; fine for any arena under 65k cells across
+const CELL_OFFSET = 1 << 15;
+const CELL_SPAN = 1 << 16;
+
+export class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // packed cell -> items
+    }
+
+    cellKey(cx, cz) {
+        return (cx + CELL_OFFSET) * CELL_SPAN + (cz + CELL_OFFSET);
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+
+    insert(item) {
+        const key = this.cellKey(Math.floor(item.x / this.cellSize), Math.floor(item.z / this.cellSize));
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.push(item);
+        } else {
+            this.cells.set(key, [item]);
+        }
+    }
+
+    rebuild(items) {
+        this.clear();
+        items.forEach(item => this.insert(item));
+    }
+
+    /**
+     * Items closer than `radius` to (x, z), by where they are now. Items that
+     * moved since the last rebuild are still looked for in their old cell.
+     */
+    query(x, z, radius, out = []) {
+        const size = this.cellSize;
+        const minX = Math.floor((x - radius) / size);
+        const maxX = Math.floor((x + radius) / size);
+        const minZ = Math.floor((z - radius) / size);
+        const maxZ = Math.floor((z + radius) / size);
+        const radiusSq = radius * radius;
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const cell = this.cells.get(this.cellKey(cx, cz));
+                if (!cell) continue;
+
+                for (const item of cell) {
+                    const dx = item.x - x;
+                    const dz = item.z - z;
+                    if (dx * dx + dz * dz < radiusSq) out.push(item);
+                }
+            }
+        }
+        return out;
+    }
+}
@@ -0,0 +1,93 @@
+// HeadlessMatch - Plays a full bot-vs-bot match with no window, canvas or sound
+//
+// Runs the real game rules (the same Game the browser runs as host) tick by
+// tick, as fast as the CPU allows, for tests, balance runs and bot
+// tournaments. Same seed and difficulties = same match.
+//
+//   const result = new HeadlessMatch({ seed: 42, difficulties: { rock: 'hard' } }).run();
+import { Game } from '../game/Game.js';
+import { generateSeed } from '../game/Random.js';
+import { SOLDIER_TYPES, GAME_STATES } from '../utils/constants.js';
+import { createNullAdapter, HeadlessHost } from './adapters.js';
+
+const DEFAULT_MAX_DURATION = 600; // simulated s before calling it a draw
+
+// What main.js's RPSArena gives the game, minus everything that draws or plays
+class HeadlessApp {
+    constructor({ difficulties, calls }) {
+        this.scene = null; // no renderer: Game builds no SceneView, so no meshes
+        this.camera = null;
+        this.renderer = null;
+        this.ui = createNullAdapter('ui', calls);
+        this.audio = createNullAdapter('audio', calls);
+        this.chatUi = null;
+        this.network = new HeadlessHost(this, difficulties);
+        this.game = new Game(this);
+    }
+}
+
+export class HeadlessMatch {
+    /**
+     * `difficulties` maps army type to a BOT_DIFFICULTIES value (normal by
+     * default). `recordCalls` keeps every UI and audio call in `result.calls`.
+     */
+    constructor({ seed = generateSeed(), difficulties = {}, maxDuration = DEFAULT_MAX_DURATION, recordCalls = false } = {}) {
+        this.seed = seed >>> 0;
+        this.maxDuration = maxDuration;
+        this.calls = recordCalls ? [] : null;
+        this.app = new HeadlessApp({ difficulties, calls: this.calls });
+    }
+
+    run() {
+        const game = this.app.game;
+        const step = game.timestep.step;
+
+        // No local player: every army goes through HeadlessHost.getPlayerInput
+        game.startGame(null, this.seed);
+        while (game.state !== GAME_STATES.ENDED && game.timestep.time < this.maxDuration) {
+            game.update(step);
+        }
+
+        const result = this.getResult();
+        game.cleanup();
+        return result;
+    }
+
+    getResult() {
+        const game = this.app.game;
+        const events = this.app.network.events;
+        const gameOver = events.find(e => e.type === 'game_over');
+        const battleStart = events.find(e => e.type === 'battle_start');
+
+        const armies = {};
+        Object.values(SOLDIER_TYPES).forEach(type => {
+            armies[type] = {
+                soldiers: game.armies.get(type)?.soldiers.length || 0,
+                converted: 0, // enemy soldiers won over
+                lost: 0,
+                powerUps: 0
+            };
+        });
+
+        events.forEach(e => {
+            if (e.type === 'conversion') {
+                armies[e.toType].converted++;
+                armies[e.fromType].lost++;
+            } else if (e.type === 'powerup_collect') {
+                armies[e.armyType].powerUps++;
+            }
+        });
+
+        const endTick = gameOver ? gameOver.tick : game.timestep.tick;
+        return {
+            seed: this.seed,
+            winner: gameOver ? gameOver.winnerType : null, // null: draw at maxDuration
+            ticks: endTick,
+            battleTime: battleStart ? (endTick - battleStart.tick) * game.timestep.step : 0, // simulated s
+            armies,
+            powerUpsSpawned: events.filter(e => e.type === 'powerup_spawn').length,
+            events,
+            calls: this.calls
+        };
+    }
+}
@@ -0,0 +1,83 @@
+// Headless adapters - Stand-ins for the browser-only parts of the app
+//
+// The game only talks to the rest of the app through app.ui, app.audio and
+// app.network, so running it without WebGL or the DOM is a matter of handing
+// it something else there. UI and audio calls are swallowed (and optionally
+// logged); the network is replaced by a host that has every army played by
+// a bot and records what a real host would have broadcast.
+import { GAME_STATES, BOT_DIFFICULTIES } from '../utils/constants.js';
+
+/**
+ * Accepts any method call and does nothing. With `calls`, each one is
+ * appended as { adapter, method, args }.
+ */
+export function createNullAdapter(name, calls = null) {
+    return new Proxy({}, {
+        get(target, method) {
+            if (method === 'then') return undefined; // not a promise
+            return (...args) => {
+                calls?.push({ adapter: name, method, args });
+            };
+        }
+    });
+}
+
+// The host side of NetworkManager as Game and PowerUpManager use it
+export class HeadlessHost {
+    constructor(app, difficulties = {}) {
+        this.app = app;
+        this.isHost = true;
+        this.isSpectator = false;
+        this.difficulties = difficulties; // type -> BOT_DIFFICULTIES value
+        this.events = []; // { tick, type, ... } in the order they happened
+    }
+
+    record(type, data = {}) {
+        this.events.push({ tick: this.app.game.timestep.tick, type, ...data });
+    }
+
+    getPlayerInput(type) {
+        return this.app.game.getAIInput(type, this.difficulties[type] || BOT_DIFFICULTIES.NORMAL);
+    }
+
+    beginBattle() {
+        if (this.app.game.state !== GAME_STATES.PLACEMENT) return;
+        this.record('battle_start');
+        this.app.game.startBattle();
+    }
+
+    sendConversion(soldierId, fromType, toType) {
+        this.record('conversion', { soldierId, fromType, toType });
+    }
+
+    sendLeaderPromoted(armyType, leaderId) {
+        this.record('leader_promoted', { armyType, leaderId });
+    }
+
+    sendPowerUpSpawn(powerUp) {
+        this.record('powerup_spawn', { id: powerUp.id, powerUpType: powerUp.type });
+    }
+
+    sendPowerUpCollect(powerUp, armyType) {
+        this.record('powerup_collect', { id: powerUp.id, powerUpType: powerUp.type, armyType });
+    }
+
+    sendEffectStart(armyType, effect, duration) {
+        this.record('effect_start', { armyType, effect, duration });
+    }
+
+    sendEffectEnd(armyType, effect) {
+        this.record('effect_end', { armyType, effect });
+    }
+
+    sendSpawn(armyType, soldiers) {
+        this.record('spawn', { armyType, count: soldiers.length });
+    }
+
+    sendGameOver(winnerType) {
+        this.record('game_over', { winnerType });
+    }
+
+    // Nobody drags soldiers without a mouse
+    sendPlacement() {}
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { Game } from './game/Game.js';
 import { IdentityUI } from './ui/IdentityUI.js';
+import { ChatUI } from './ui/ChatUI.js';
 import { UIManager } from './ui/UIManager.js';
 import { NetworkManager } from './network/NetworkManager.js';
 import { AudioManager } from './audio/AudioManager.js';
@@ -14,6 +15,7 @@ class RPSArena {
         this.game = null;
         this.ui = null;
         this.identityUi = null; // Identity Manager
+        this.chatUi = null;
         this.network = null;
         this.audio = null;
         this.clock = new THREE.Clock();
@@ -54,6 +56,7 @@ class RPSArena {
             }
 
             this.ui = new UIManager(this);
+            this.chatUi = new ChatUI(this);
         } catch (e) {
             console.error('Critical manager initialization failure:', e);
             // Fallback: at least try to show UI if UIManager exists
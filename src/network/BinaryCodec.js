@@ -0,0 +1,373 @@
+// BinaryCodec - Compact wire format for the high-frequency messages
+//
+// game_state and player_input go over the relay as { type: 'bin', d } where
+// d is base64 of a little-endian byte layout. Soldier ids are replaced by
+// small numbers the host assigns the first time it sends an entity, and a
+// name table rides along whenever a receiver may not know the mapping yet:
+// keyframes carry every name, deltas only names missing from their baseline.
+// Anything that doesn't fit the layout is sent as plain JSON instead, so
+// decode(encode(message)) always gives back the exact same message.
+import { SOLDIER_TYPES } from '../utils/constants.js';
+
+export const BINARY_TYPES = new Set(['game_state', 'player_input']);
+
+export const CODECS = {
+    BINARY: 'binary',
+    JSON: 'json'
+};
+
+// `?codec=json` keeps every message readable in the network tab
+export function getCodecFromUrl() {
+    if (typeof window === 'undefined') return CODECS.BINARY;
+    const codec = new URLSearchParams(window.location.search).get('codec');
+    return codec === CODECS.JSON ? CODECS.JSON : CODECS.BINARY;
+}
+
+// Inputs are sent in 1/127 steps. Truncating never lengthens the vector,
+// so the host's unit-length clamp leaves predicted input untouched.
+const INPUT_STEPS = 127;
+export const quantizeInput = (value) => Math.trunc(value * INPUT_STEPS) / INPUT_STEPS || 0;
+
+const KIND_GAME_STATE = 1;
+const KIND_PLAYER_INPUT = 2;
+
+const ARMY_TYPES = Object.values(SOLDIER_TYPES);
+const MAX_NET_ID = 0x7fff; // top bit of the u16 is the leader flag
+const MAX_U16 = 0xffff;
+const MAX_U32 = 0xffffffff;
+
+// Army flag bits
+const HAS_INV = 1;
+const INV = 2;
+const HAS_REV = 4;
+const REV = 8;
+const HAS_SPD = 16;
+const HAS_S = 32;
+const HAS_RM = 64;
+
+// game_state flag bits
+const KEY = 1;
+const HAS_BASE = 2;
+const HAS_INPUTS = 4;
+
+const isInt16 = v => Number.isInteger(v) && v >= -0x8000 && v <= 0x7fff;
+const isU32 = v => Number.isInteger(v) && v >= 0 && v <= MAX_U32;
+
+class Writer {
+    constructor(size = 256) {
+        this.bytes = new Uint8Array(size);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    reserve(n) {
+        if (this.length + n <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + n) size *= 2;
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    u8(v) { this.reserve(1); this.view.setUint8(this.length, v); this.length += 1; }
+    i8(v) { this.reserve(1); this.view.setInt8(this.length, v); this.length += 1; }
+    u16(v) { this.reserve(2); this.view.setUint16(this.length, v, true); this.length += 2; }
+    i16(v) { this.reserve(2); this.view.setInt16(this.length, v, true); this.length += 2; }
+    u32(v) { this.reserve(4); this.view.setUint32(this.length, v, true); this.length += 4; }
+    f64(v) { this.reserve(8); this.view.setFloat64(this.length, v, true); this.length += 8; }
+
+    raw(bytes) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    toBytes() {
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+class Reader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    // DataView throws a RangeError past the end, which decode() reports as malformed
+    u8() { const v = this.view.getUint8(this.offset); this.offset += 1; return v; }
+    i8() { const v = this.view.getInt8(this.offset); this.offset += 1; return v; }
+    u16() { const v = this.view.getUint16(this.offset, true); this.offset += 2; return v; }
+    i16() { const v = this.view.getInt16(this.offset, true); this.offset += 2; return v; }
+    u32() { const v = this.view.getUint32(this.offset, true); this.offset += 4; return v; }
+    f64() { const v = this.view.getFloat64(this.offset, true); this.offset += 8; return v; }
+
+    raw(n) {
+        if (this.offset + n > this.bytes.length) throw new RangeError('read past end');
+        const bytes = this.bytes.subarray(this.offset, this.offset + n);
+        this.offset += n;
+        return bytes;
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export class BinaryCodec {
+    constructor() {
+        this.reset();
+    }
+
+    // Call whenever a new match or a new host starts numbering entities
+    reset() {
+        this.netIds = new Map(); // sender: soldier id -> net id
+        this.nextNetId = 0;
+        this.names = new Map(); // receiver: net id -> soldier id
+    }
+
+    getNetId(id) {
+        let netId = this.netIds.get(id);
+        if (netId === undefined) {
+            if (this.nextNetId > MAX_NET_ID) return null;
+            netId = this.nextNetId++;
+            this.netIds.set(id, netId);
+        }
+        return netId;
+    }
+
+    /**
+     * Encode a hot message to base64, or null when it has to go as JSON.
+     * `baseline` is the state a game_state delta is relative to.
+     */
+    encode(message, baseline = null) {
+        const writer = new Writer();
+        let ok = false;
+        if (message.type === 'game_state') ok = this.writeGameState(writer, message, baseline);
+        if (message.type === 'player_input') ok = this.writePlayerInput(writer, message);
+        return ok ? toBase64(writer.toBytes()) : null;
+    }
+
+    /**
+     * Rebuild the original message from a { type: 'bin' } envelope. Returns
+     * null if it names an entity we have no mapping for; throws if malformed.
+     */
+    decode(envelope) {
+        const reader = new Reader(fromBase64(envelope.d));
+        const kind = reader.u8();
+
+        let message;
+        if (kind === KIND_GAME_STATE) message = this.readGameState(reader);
+        else if (kind === KIND_PLAYER_INPUT) message = this.readPlayerInput(reader);
+        else throw new Error(`unknown binary kind ${kind}`);
+
+        if (reader.offset !== reader.bytes.length) throw new Error('trailing bytes');
+        if (message) message.fromId = envelope.fromId;
+        return message;
+    }
+
+    // --- game_state -------------------------------------------------
+
+    writeGameState(w, msg, baseline) {
+        if (!isU32(msg.seq) || !Number.isFinite(msg.t)) return false;
+        if (msg.base !== null && !isU32(msg.base)) return false;
+
+        const known = new Set();
+        if (!msg.key && baseline) {
+            Object.values(baseline).forEach(army => Object.keys(army.soldiers).forEach(id => known.add(id)));
+        }
+        const introduce = new Map(); // net id -> name
+
+        w.u8(KIND_GAME_STATE);
+        w.u32(msg.seq);
+        w.f64(msg.t);
+        w.u8((msg.key ? KEY : 0) | (msg.base !== null ? HAS_BASE : 0) | (msg.inputs ? HAS_INPUTS : 0));
+        if (msg.base !== null) w.u32(msg.base);
+
+        const armies = Object.entries(msg.armies);
+        w.u8(armies.length);
+        for (const [type, army] of armies) {
+            const typeIndex = ARMY_TYPES.indexOf(type);
+            if (typeIndex === -1) return false;
+
+            let flags = 0;
+            if (army.inv !== undefined) flags |= HAS_INV | (army.inv ? INV : 0);
+            if (army.rev !== undefined) flags |= HAS_REV | (army.rev ? REV : 0);
+            if (army.spd !== undefined) flags |= HAS_SPD;
+            if (army.s) flags |= HAS_S;
+            if (army.rm) flags |= HAS_RM;
+            w.u8(typeIndex);
+            w.u8(flags);
+
+            if (army.spd !== undefined) w.f64(army.spd);
+
+            if (army.s) {
+                if (army.s.length > MAX_U16) return false;
+                w.u16(army.s.length);
+                for (const [id, qx, qz, leader] of army.s) {
+                    const netId = this.getNetId(id);
+                    if (netId === null || !isInt16(qx) || !isInt16(qz)) return false;
+                    w.u16(netId | (leader ? 0x8000 : 0));
+                    w.i16(qx);
+                    w.i16(qz);
+                    if (!known.has(id)) introduce.set(netId, id);
+                }
+            }
+
+            if (army.rm) {
+                if (army.rm.length > MAX_U16) return false;
+                w.u16(army.rm.length);
+                for (const id of army.rm) {
+                    const netId = this.getNetId(id);
+                    if (netId === null) return false;
+                    w.u16(netId);
+                }
+            }
+        }
+
+        w.u16(introduce.size);
+        for (const [netId, id] of introduce) {
+            const bytes = textEncoder.encode(id);
+            if (bytes.length > 0xff) return false;
+            w.u16(netId);
+            w.u8(bytes.length);
+            w.raw(bytes);
+        }
+
+        if (msg.inputs) {
+            const inputs = Object.entries(msg.inputs);
+            w.u8(inputs.length);
+            for (const [type, seq] of inputs) {
+                const typeIndex = ARMY_TYPES.indexOf(type);
+                if (typeIndex === -1 || !isU32(seq)) return false;
+                w.u8(typeIndex);
+                w.u32(seq);
+            }
+        }
+
+        return true;
+    }
+
+    readGameState(r) {
+        const seq = r.u32();
+        const t = r.f64();
+        const flags = r.u8();
+        const base = flags & HAS_BASE ? r.u32() : null;
+
+        // Entities are resolved to names once the name table has been read
+        const armies = [];
+        const armyCount = r.u8();
+        for (let i = 0; i < armyCount; i++) {
+            const type = ARMY_TYPES[r.u8()];
+            if (!type) throw new Error('bad army type');
+            const armyFlags = r.u8();
+            const army = {};
+
+            if (armyFlags & HAS_INV) army.inv = armyFlags & INV ? 1 : 0;
+            if (armyFlags & HAS_REV) army.rev = armyFlags & REV ? 1 : 0;
+            if (armyFlags & HAS_SPD) army.spd = r.f64();
+
+            if (armyFlags & HAS_S) {
+                army.s = [];
+                const count = r.u16();
+                for (let j = 0; j < count; j++) {
+                    const packed = r.u16();
+                    army.s.push([packed & MAX_NET_ID, r.i16(), r.i16(), packed & 0x8000 ? 1 : 0]);
+                }
+            }
+
+            if (armyFlags & HAS_RM) {
+                army.rm = [];
+                const count = r.u16();
+                for (let j = 0; j < count; j++) army.rm.push(r.u16());
+            }
+
+            armies.push([type, army]);
+        }
+
+        const nameCount = r.u16();
+        for (let i = 0; i < nameCount; i++) {
+            const netId = r.u16();
+            this.names.set(netId, textDecoder.decode(r.raw(r.u8())));
+        }
+
+        let inputs;
+        if (flags & HAS_INPUTS) {
+            inputs = {};
+            const count = r.u8();
+            for (let i = 0; i < count; i++) {
+                const type = ARMY_TYPES[r.u8()];
+                if (!type) throw new Error('bad input army type');
+                inputs[type] = r.u32();
+            }
+        }
+
+        // Resolve net ids; an unknown one means we missed its introduction
+        for (const [, army] of armies) {
+            for (const entity of army.s || []) {
+                entity[0] = this.names.get(entity[0]);
+                if (entity[0] === undefined) return null;
+            }
+            if (army.rm) {
+                army.rm = army.rm.map(netId => this.names.get(netId));
+                if (army.rm.includes(undefined)) return null;
+            }
+        }
+
+        const message = { type: 'game_state', key: !!(flags & KEY), base, armies: Object.fromEntries(armies), seq, t };
+        if (inputs) message.inputs = inputs;
+        return message;
+    }
+
+    // --- player_input -----------------------------------------------
+
+    writePlayerInput(w, msg) {
+        const typeIndex = ARMY_TYPES.indexOf(msg.playerType);
+        const qx = Math.round(msg.x * INPUT_STEPS);
+        const qz = Math.round(msg.z * INPUT_STEPS);
+        if (typeIndex === -1 || !isU32(msg.seq)) return false;
+        if (msg.ack !== undefined && !isU32(msg.ack)) return false;
+        // Only exact 1/127 steps round-trip
+        if (qx / INPUT_STEPS !== msg.x || qz / INPUT_STEPS !== msg.z) return false;
+        if (Math.abs(qx) > INPUT_STEPS || Math.abs(qz) > INPUT_STEPS) return false;
+
+        w.u8(KIND_PLAYER_INPUT);
+        w.u8(typeIndex | (msg.ack !== undefined ? 0x80 : 0));
+        w.u32(msg.seq);
+        w.i8(qx);
+        w.i8(qz);
+        if (msg.ack !== undefined) w.u32(msg.ack);
+        return true;
+    }
+
+    readPlayerInput(r) {
+        const packed = r.u8();
+        const playerType = ARMY_TYPES[packed & 0x7f];
+        if (!playerType) throw new Error('bad player type');
+
+        const message = {
+            type: 'player_input',
+            playerType,
+            seq: r.u32(),
+            x: r.i8() / INPUT_STEPS,
+            z: r.i8() / INPUT_STEPS
+        };
+        if (packed & 0x80) message.ack = r.u32();
+        return message;
+    }
+}
@@ -0,0 +1,95 @@
+// ClientPrediction - Local simulation of the client's own army
+//
+// The client applies the same input it sends to the host, using the same
+// Army movement code, so its leader reacts immediately. Every input is
+// numbered; when a snapshot says which input the host has processed, the
+// army is rewound to the host's positions and the newer inputs are replayed.
+import { GAME_CONFIG } from '../utils/constants.js';
+import { dequantize } from './Snapshots.js';
+import { quantizeInput } from './BinaryCodec.js';
+
+const MAX_PENDING_INPUTS = 120; // ~6s at the input send rate
+const REPLAY_STEP = 1 / GAME_CONFIG.TICK_RATE; // same steps the inputs were applied in
+
+export class ClientPrediction {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.seq = 0;
+        this.pending = [];
+        this.current = null;
+        this.lastSampleTime = 0;
+    }
+
+    /**
+     * Returns the input to apply this frame. A new numbered input is sampled
+     * (and must be sent) every INPUT_SEND_INTERVAL ms; until then the last one
+     * keeps applying, exactly as the host will apply it.
+     */
+    sample(now, readInput) {
+        if (this.current && now - this.lastSampleTime < GAME_CONFIG.INPUT_SEND_INTERVAL) {
+            return { input: this.current, isNew: false };
+        }
+
+        // Predict with exactly what the host will receive
+        const { x, z } = readInput();
+        this.current = { seq: ++this.seq, x: quantizeInput(x), z: quantizeInput(z), duration: 0 };
+        this.lastSampleTime = now;
+
+        this.pending.push(this.current);
+        if (this.pending.length > MAX_PENDING_INPUTS) this.pending.shift();
+
+        return { input: this.current, isNew: true };
+    }
+
+    // Record how long the current input has been applied locally
+    advance(delta) {
+        if (this.current) this.current.duration += delta;
+    }
+
+    reconcile(army, arena, ackSeq, serverSoldiers) {
+        if (Number.isInteger(ackSeq)) {
+            this.pending = this.pending.filter(input => input.seq > ackSeq);
+        }
+
+        // Where prediction had us before the correction
+        const predicted = new Map();
+        army.soldiers.forEach(s => {
+            predicted.set(s.id, { x: s.x, z: s.z });
+        });
+
+        // Rewind to the host's authoritative positions
+        army.soldiers.forEach(s => {
+            const entity = serverSoldiers[s.id];
+            if (!entity) return;
+            s.x = dequantize(entity[0]);
+            s.z = dequantize(entity[1]);
+        });
+
+        // Replay everything the host hasn't seen yet
+        this.pending.forEach(input => {
+            let remaining = input.duration;
+            while (remaining > 1e-9) {
+                const step = Math.min(remaining, REPLAY_STEP);
+                army.simulate(step, input, arena);
+                remaining -= step;
+            }
+        });
+
+        // Blend small corrections in, snap big ones
+        const snapDistSq = GAME_CONFIG.RECONCILE_SNAP_DISTANCE ** 2;
+        army.soldiers.forEach(s => {
+            const before = predicted.get(s.id);
+            if (!before) return;
+
+            const dx = s.x - before.x;
+            const dz = s.z - before.z;
+            if (dx * dx + dz * dz < snapDistSq) {
+                s.x = before.x + dx * GAME_CONFIG.RECONCILE_SMOOTHING;
+                s.z = before.z + dz * GAME_CONFIG.RECONCILE_SMOOTHING;
+            }
+        });
+    }
+}
@@ -0,0 +1,75 @@
+// Moderation - Host-side record of protocol and anti-cheat violations
+//
+// Inspect from the console: rpsArena.network.moderation.print()
+
+const MAX_ENTRIES = 200;
+
+export class ModerationLog {
+    constructor() {
+        this.entries = [];
+        this.counts = new Map(); // `${playerId}:${reason}` -> count
+    }
+
+    record(player, reason, detail = '') {
+        const key = `${player.id}:${reason}`;
+        const count = (this.counts.get(key) || 0) + 1;
+        this.counts.set(key, count);
+
+        this.entries.push({
+            time: new Date().toISOString(),
+            playerId: player.id,
+            username: player.username || null,
+            playerType: player.type || null,
+            reason,
+            detail
+        });
+        if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+
+        // First few, then every 50th, so a flood doesn't flood the console too
+        if (count <= 3 || count % 50 === 0) {
+            console.warn(`🚨 [moderation] ${player.username || player.id} ${reason} (x${count})`, detail);
+        }
+    }
+
+    getCount(playerId, reason) {
+        return this.counts.get(`${playerId}:${reason}`) || 0;
+    }
+
+    print() {
+        console.table(this.entries);
+    }
+
+    clear() {
+        this.entries = [];
+        this.counts.clear();
+    }
+}
+
+// Token bucket per sender: `rate` messages/sec with bursts up to `burst`
+export class RateLimiter {
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.buckets = new Map(); // id -> { tokens, last }
+    }
+
+    allow(id, now = Date.now()) {
+        let bucket = this.buckets.get(id);
+        if (!bucket) {
+            bucket = { tokens: this.burst, last: now };
+            this.buckets.set(id, bucket);
+        }
+
+        bucket.tokens = Math.min(this.burst, bucket.tokens + ((now - bucket.last) / 1000) * this.rate);
+        bucket.last = now;
+
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    reset(id) {
+        if (id === undefined) this.buckets.clear();
+        else this.buckets.delete(id);
+    }
+}
@@ -0,0 +1,104 @@
+// NetStats - Network diagnostics for the HUD panel and bug reports
+//
+// Counts traffic in both directions, tracks ping/pong round trips and
+// watches snapshot sequence numbers for gaps. From the console:
+// rpsArena.network.getDiagnostics()
+
+const WINDOW = 1000; // ms per rate sample
+
+// {"type":"bin","fromId":"","d":""} around a binary message's id and payload
+const BIN_ENVELOPE_BYTES = 33;
+
+// Bytes are the JSON length, which is what the relay carries. Binary
+// envelopes are sized from their payload so snapshots aren't stringified twice.
+function measure(data) {
+    if (data?.type === 'bin' && typeof data.d === 'string') {
+        return BIN_ENVELOPE_BYTES + String(data.fromId ?? '').length + data.d.length;
+    }
+    return JSON.stringify(data)?.length || 0;
+}
+
+export class NetStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.windowStart = Date.now();
+        this.current = { msgsIn: 0, msgsOut: 0, bytesIn: 0, bytesOut: 0 };
+        this.rates = { ...this.current };
+        this.totals = { ...this.current };
+
+        this.rtts = new Map(); // peer id -> ms (host: every client, client: the host)
+        this.lastSnapshotAt = 0;
+        this.lastSnapshotSeq = 0;
+        this.droppedSnapshots = 0;
+        this.lateSnapshots = 0;
+    }
+
+    recordIn(data) {
+        this.count('In', data);
+    }
+
+    recordOut(data) {
+        this.count('Out', data);
+    }
+
+    count(direction, data) {
+        this.roll();
+        const bytes = measure(data);
+        this.current[`msgs${direction}`]++;
+        this.current[`bytes${direction}`] += bytes;
+        this.totals[`msgs${direction}`]++;
+        this.totals[`bytes${direction}`] += bytes;
+    }
+
+    roll(now = Date.now()) {
+        if (now - this.windowStart < WINDOW) return;
+
+        // A quiet gap longer than a window means nothing came through
+        this.rates = now - this.windowStart < 2 * WINDOW
+            ? this.current
+            : { msgsIn: 0, msgsOut: 0, bytesIn: 0, bytesOut: 0 };
+        this.current = { msgsIn: 0, msgsOut: 0, bytesIn: 0, bytesOut: 0 };
+        this.windowStart = now;
+    }
+
+    // A new host or match restarts the sequence
+    resetSnapshots() {
+        this.lastSnapshotAt = 0;
+        this.lastSnapshotSeq = 0;
+    }
+
+    recordSnapshot(seq, now = Date.now()) {
+        if (seq <= this.lastSnapshotSeq) {
+            this.lateSnapshots++;
+            return;
+        }
+        if (this.lastSnapshotSeq > 0) {
+            this.droppedSnapshots += seq - this.lastSnapshotSeq - 1;
+        }
+        this.lastSnapshotSeq = seq;
+        this.lastSnapshotAt = now;
+    }
+
+    recordRtt(peerId, sentAt, now = Date.now()) {
+        this.rtts.set(peerId, Math.max(0, now - sentAt));
+    }
+
+    getSummary(extra = {}, now = Date.now()) {
+        this.roll(now);
+        return {
+            msgsInPerSec: this.rates.msgsIn,
+            msgsOutPerSec: this.rates.msgsOut,
+            bytesInPerSec: this.rates.bytesIn,
+            bytesOutPerSec: this.rates.bytesOut,
+            totals: { ...this.totals },
+            rtt: Object.fromEntries(this.rtts),
+            snapshotAge: this.lastSnapshotAt ? now - this.lastSnapshotAt : null,
+            droppedSnapshots: this.droppedSnapshots,
+            lateSnapshots: this.lateSnapshots,
+            ...extra
+        };
+    }
+}
@@ -1,110 +1,339 @@
 // NetworkManager - Cloud Relay Version (100% Guaranteed Connection)
-import { SOLDIER_TYPES, GAME_CONFIG } from '../utils/constants.js';
-import { IdentityService, RealtimeService } from '../services/SupabaseClient.js';
+import { SOLDIER_TYPES, GAME_CONFIG, GAME_STATES, BOT_DIFFICULTIES, QUICK_CHAT } from '../utils/constants.js';
+import { cleanChatMessage } from '../utils/chatFilter.js';
+import { IdentityService } from '../services/SupabaseClient.js';
+import { RoomDirectory, JOIN_FAILURES } from '../services/RoomDirectory.js';
+import { createTransport, getTransportFromUrl, SimulatedTransport, getConditionsFromUrl } from './transports/index.js';
+import { SnapshotSender, SnapshotReceiver, captureState, dequantize } from './Snapshots.js';
+import { ClientPrediction } from './ClientPrediction.js';
+import { SnapshotInterpolator } from './SnapshotInterpolator.js';
+import { PROTOCOL_VERSION, validateMessage, isAuthorized } from './Protocol.js';
+import { ModerationLog, RateLimiter } from './Moderation.js';
+import { NetStats } from './NetStats.js';
+import { generateSeed, getSeedFromUrl } from '../game/Random.js';
+import { BinaryCodec, BINARY_TYPES, CODECS, getCodecFromUrl } from './BinaryCodec.js';
 
 export class NetworkManager {
-    constructor(app) {
+    /**
+     * Browser defaults for everything outside the game. Several managers in
+     * one process (tests) each pass their own `identity` ({ currentUser }),
+     * a shared `rooms` directory and `LocalTransport({ inMemory: true })`.
+     */
+    constructor(app, transport = createTransport(getTransportFromUrl()), {
+        identity = IdentityService,
+        rooms = new RoomDirectory(),
+        storage = typeof sessionStorage !== 'undefined' ? sessionStorage : null,
+        window: browserWindow = typeof window !== 'undefined' ? window : null
+    } = {}) {
         this.app = app;
+        this.identity = identity;
+        this.storage = storage;
+        this.window = browserWindow;
+
+        // Message relay (Supabase cloud, PeerJS or local - see transports/),
+        // behind the bad-network simulator (`?lag=150&loss=0.05`, or the 🐢 panel)
+        this.transport = new SimulatedTransport(transport, getConditionsFromUrl());
+        this.transport.onMessage((data) => this.handleMessage(data));
+        this.transport.onPresence((e) => this.handlePresence(e));
+
+        // Keep the rejoin window fresh when the tab is refreshed mid-match
+        this.window?.addEventListener('beforeunload', () => {
+            if (this.partyId) this.rememberParty();
+        });
         this.isHost = false;
+        this.hostId = null;
         this.partyId = null;
         this.localPlayerType = null;
+        this.isSpectator = false;
         this.syncInterval = null;
 
+        // Host liveness: host sends heartbeats, clients watch for silence
+        this.heartbeatInterval = null;
+        this.hostWatchdog = null;
+        this.lastHostMessageTime = 0;
+
+        // Match flow (host tracks who is ready / wants a rematch)
+        this.readyPlayers = new Set();
+        this.rematchVotes = new Set();
+
         // Player data
         this.players = new Map();
+        this.spectators = new Map(); // id -> { username, connected }
         this.remoteInputs = new Map();
         this.connections = new Map(); // Kept as presence map
+
+        // Sequenced keyframe/delta game_state snapshots
+        this.snapshotSender = new SnapshotSender();
+        this.snapshotReceiver = new SnapshotReceiver();
+        this.lastAckTime = 0;
+
+        // Client: local prediction of our own army / Host: last input seq per player
+        this.prediction = new ClientPrediction();
+        this.processedInputs = new Map();
+
+        // Client: timestamped buffer for rendering remote armies
+        this.interpolator = new SnapshotInterpolator();
+
+        // Host: anti-cheat bookkeeping
+        this.moderation = new ModerationLog();
+        this.inputLimiter = new RateLimiter(GAME_CONFIG.INPUT_RATE_LIMIT, GAME_CONFIG.INPUT_RATE_BURST);
+        this.chatLimiter = new RateLimiter(GAME_CONFIG.CHAT_RATE_LIMIT, GAME_CONFIG.CHAT_RATE_BURST);
+        this.resyncLimiter = new RateLimiter(1000 / GAME_CONFIG.RESYNC_REQUEST_INTERVAL, 2);
+
+        // Diagnostics for the HUD panel and console
+        this.stats = new NetStats();
+        this.lastPingTime = 0;
+
+        // Phase changes go out once; heartbeats repeat the phase so a lost one is caught up
+        this.lastWinner = null;
+        this.lastResyncRequest = 0;
+
+        // Wire format for game_state / player_input (`?codec=json` to debug)
+        this.codec = new BinaryCodec();
+        this.useBinary = getCodecFromUrl() === CODECS.BINARY;
+
+        // Every party is registered; public ones show in the room browser
+        // (`?rooms=local` for dev)
+        this.rooms = rooms;
+        this.isPublic = false;
+        this.lastRoomUpdate = 0;
+        this.joinTimer = null;
     }
 
-    createParty() {
-        this.partyId = this.generatePartyId();
+    async createParty({ isPublic = false } = {}) {
+        if (this.partyId) return;
+
+        // The registry hands out a code no other live party holds
+        const partyId = await this.rooms.reserve({
+            ...this.getRoomInfo(),
+            players: 1,
+            spectators: 0,
+            state: GAME_STATES.LOBBY,
+            isPublic
+        });
+        if (this.partyId) return;
+
+        this.partyId = partyId;
         this.isHost = true;
+        this.isPublic = isPublic;
+        this.hostId = this.identity.currentUser.id;
         this.localPlayerType = SOLDIER_TYPES.ROCK;
 
         console.log(`--- 🏘️ CREATING CLOUD PARTY: ${this.partyId} ---`);
 
-        // Join Cloud Relay
-        RealtimeService.joinChannel(this.partyId, (data) => this.handleMessage(data));
+        // Join Relay
+        this.transport.join(this.partyId, this.identity.currentUser.id, { isHost: true });
 
         // Register local player
         this.players.set(this.localPlayerType, {
-            id: IdentityService.currentUser.id,
-            username: IdentityService.currentUser.username,
+            id: this.identity.currentUser.id,
+            username: this.identity.currentUser.username,
             connected: true
         });
 
+        this.app.game.state = GAME_STATES.LOBBY;
         this.app.ui.showLobby(this.partyId, this.localPlayerType);
         this.updatePlayerList();
         this.startHostSync();
+        this.startHeartbeat();
+        this.rememberParty();
     }
 
-    joinParty(partyId) {
-        this.partyId = partyId.toUpperCase();
+    /**
+     * `spectate` accepts watching a match in progress, `rejoin` is coming
+     * back to our own slot after a refresh.
+     */
+    async joinParty(partyId, { spectate = false, rejoin = false } = {}) {
+        const code = partyId.toUpperCase();
+
+        // Dead, full or running parties fail now instead of never answering
+        const failure = await this.rooms.checkJoin(code, { spectate, rejoin });
+        if (failure) {
+            this.failJoin(code, failure);
+            return;
+        }
+        if (this.partyId) return;
+
+        this.partyId = code;
         this.isHost = false;
 
         console.log(`--- 🚀 JOINING CLOUD PARTY: ${this.partyId} ---`);
 
-        // Join Cloud Relay
-        RealtimeService.joinChannel(this.partyId, (data) => this.handleMessage(data));
+        // Join Relay
+        this.transport.join(this.partyId, this.identity.currentUser.id, { isHost: false });
 
         // Send Join Request via Relay (Queued internally until ready)
         this.broadcast({
             type: 'join_request',
-            id: IdentityService.currentUser.id,
-            username: IdentityService.currentUser.username
+            id: this.identity.currentUser.id,
+            username: this.identity.currentUser.username,
+            version: PROTOCOL_VERSION
         });
+
+        this.startJoinTimer();
+    }
+
+    // Covers hosts the registry still lists but that stopped answering
+    startJoinTimer() {
+        this.stopJoinTimer();
+        this.joinTimer = setTimeout(() => {
+            this.joinTimer = null;
+            if (this.partyId && !this.hostId) this.failJoin(this.partyId, JOIN_FAILURES.NO_RESPONSE);
+        }, GAME_CONFIG.JOIN_TIMEOUT);
+    }
+
+    stopJoinTimer() {
+        if (this.joinTimer) clearTimeout(this.joinTimer);
+        this.joinTimer = null;
+    }
+
+    failJoin(partyId, reason) {
+        console.warn(`🚫 Can't join party ${partyId}: ${reason}`);
+        if (this.partyId === partyId) this.leaveParty();
+        this.forgetParty();
+        this.app.ui.showJoinFailure(partyId, reason);
     }
 
     handleMessage(data) {
         // If we get our own broadcasted message, ignore it
-        if (data.fromId === IdentityService.currentUser.id) return;
+        if (data && data.fromId === this.identity.currentUser.id) return;
+        this.stats.recordIn(data);
+
+        if (data?.type === 'bin') {
+            data = this.decodeBinary(data);
+            if (!data) return;
+        }
+
+        const error = validateMessage(data);
+        if (error) {
+            this.reportViolation(data?.fromId, 'malformed_message', `${data?.type}: ${error}`);
+            return;
+        }
+        if (!isAuthorized(data, this.hostId)) {
+            this.reportViolation(data.fromId, 'unauthorized_message', data.type);
+            return;
+        }
+
+        if (data.fromId === this.hostId) {
+            this.lastHostMessageTime = Date.now();
+        }
 
         switch (data.type) {
             case 'join_request':
                 if (this.isHost) {
-                    const assignedType = this.getNextAvailableType();
-                    if (assignedType) {
-                        this.players.set(assignedType, {
-                            id: data.id,
-                            username: data.username,
-                            connected: true
-                        });
-
-                        this.broadcast({
-                            type: 'player_assigned',
-                            targetId: data.id,
-                            playerType: assignedType,
-                            players: this.getPlayersArray()
-                        });
-
-                        this.updatePlayerList();
-                    } else {
-                        this.broadcast({ type: 'party_full', targetId: data.id });
-                    }
+                    this.handleJoinRequest(data);
                 }
                 break;
 
             case 'player_assigned':
-                if (data.targetId === IdentityService.currentUser.id) {
-                    this.localPlayerType = data.playerType;
-                    this.syncPlayersFromArray(data.players);
-                    this.app.ui.showLobby(this.partyId, this.localPlayerType);
-                    this.app.ui.hideJoinModal();
-                    this.updatePlayerList();
+                if (data.targetId === this.identity.currentUser.id) {
+                    this.handleAssigned(data);
                 } else {
                     // Other players see a new person joined
                     this.syncPlayersFromArray(data.players);
+                    this.syncSpectatorsFromArray(data.spectators);
                     this.updatePlayerList();
                 }
                 break;
 
+            case 'full_state':
+                if (data.targetId === this.identity.currentUser.id) {
+                    this.handleFullState(data);
+                }
+                break;
+
+            case 'heartbeat':
+                // Refreshes lastHostMessageTime (above); carries the host's countdown
+                if (data.placementTimer !== undefined && this.app.game.state === GAME_STATES.PLACEMENT) {
+                    this.app.game.placementTimer = data.placementTimer;
+                }
+                this.isPublic = !!data.isPublic;
+                this.catchUpPhase(data);
+                break;
+
+            case 'host_migrated':
+                this.handleHostMigrated(data);
+                break;
+
             case 'game_start':
                 this.handleGameStart(data);
                 break;
 
+            case 'player_ready':
+                if (this.isHost && this.checkOwnership(data)) {
+                    this.applyPlacement(data.playerType, data.positions || []);
+                    this.markReady(data.playerType);
+                }
+                break;
+
+            case 'placement_update':
+                if (this.isHost && this.checkOwnership(data)) {
+                    this.applyPlacement(data.playerType, data.positions || []);
+                }
+                break;
+
+            case 'placement_sync':
+                if (!this.isHost) {
+                    this.applyLayout(data.layout);
+                }
+                break;
+
+            case 'battle_start':
+                this.handleBattleStart(data);
+                break;
+
+            case 'rematch_request':
+                if (this.isHost) {
+                    this.addRematchVote(data.fromId);
+                }
+                break;
+
+            case 'resync_request':
+                if (this.isHost) {
+                    this.handleResyncRequest(data.fromId);
+                }
+                break;
+
+            case 'take_slot':
+                if (this.isHost) {
+                    this.handleTakeSlot(data.fromId);
+                }
+                break;
+
+            case 'roster_update':
+                this.syncPlayersFromArray(data.players);
+                this.syncSpectatorsFromArray(data.spectators);
+                this.updatePlayerList();
+                break;
+
+            case 'chat':
+                this.handleChat(data);
+                break;
+
             case 'player_input':
                 if (this.isHost) {
-                    this.remoteInputs.set(data.playerType, { x: data.x, z: data.z });
+                    this.handleRemoteInput(data);
+                }
+                break;
+
+            case 'ping':
+                this.broadcast({ type: 'pong', t: data.t, targetId: data.fromId });
+                // The host shares what it measured, so clients know their RTT too
+                if (data.rtts?.[this.identity.currentUser.id] !== undefined) {
+                    this.stats.rtts.set(data.fromId, data.rtts[this.identity.currentUser.id]);
+                }
+                break;
+
+            case 'pong':
+                if (this.isHost && data.targetId === this.identity.currentUser.id) {
+                    this.stats.recordRtt(data.fromId, data.t);
+                }
+                break;
+
+            case 'snapshot_ack':
+                if (this.isHost) {
+                    this.handlePeerReturned(data.fromId);
+                    this.snapshotSender.ack(data.fromId, data.seq);
                 }
                 break;
 
@@ -116,18 +345,47 @@ export class NetworkManager {
                 this.handleRemoteConversion(data);
                 break;
 
+            case 'entity_spawn':
+                this.handleEntitySpawn(data);
+                break;
+
+            case 'leader_promoted':
+                this.handleLeaderPromoted(data);
+                break;
+
+            case 'powerup_spawn':
+            case 'powerup_collect':
+            case 'effect_start':
+            case 'effect_end':
+                if (!this.isHost) this.handlePowerUpEvent(data);
+                break;
+
             case 'game_over':
-                this.app.game.endGame(data.winner);
+                this.lastWinner = data.winner;
+                if (this.app.game.state === GAME_STATES.PLAYING) {
+                    this.app.game.endGame(data.winner);
+                }
                 break;
 
             case 'player_left':
-                this.handlePeerDisconnect(data.fromId);
+                if (!this.isHost && data.fromId === this.hostId) {
+                    this.handleHostDisconnect();
+                } else {
+                    this.handlePeerDisconnect(data.fromId);
+                }
                 break;
 
-            case 'party_full':
-                if (data.targetId === IdentityService.currentUser.id) {
-                    alert('Party is full!');
+            case 'version_mismatch':
+                if (data.targetId === this.identity.currentUser.id) {
+                    this.window?.alert(`Version mismatch! This party runs protocol v${data.hostVersion}, you have v${PROTOCOL_VERSION}. Please refresh.`);
                     this.leaveParty();
+                    this.app.ui.showMainMenu();
+                }
+                break;
+
+            case 'party_full':
+                if (data.targetId === this.identity.currentUser.id) {
+                    this.failJoin(this.partyId, JOIN_FAILURES.FULL);
                 }
                 break;
         }
@@ -135,21 +393,134 @@ export class NetworkManager {
 
     broadcast(data) {
         // Add sender info
-        data.fromId = IdentityService.currentUser.id;
-        RealtimeService.broadcast(data);
+        data.fromId = this.identity.currentUser.id;
+        const wire = this.encodeBinary(data);
+        this.stats.recordOut(wire);
+        this.transport.send(wire);
+    }
+
+    // Hot messages go as base64 binary; anything the codec can't fit stays JSON
+    encodeBinary(data) {
+        if (!this.useBinary || !BINARY_TYPES.has(data.type)) return data;
+
+        const baseline = data.type === 'game_state' && data.base !== null
+            ? this.snapshotSender.history.get(data.base)
+            : null;
+        const encoded = this.codec.encode(data, baseline);
+        return encoded ? { type: 'bin', fromId: data.fromId, d: encoded } : data;
+    }
+
+    decodeBinary(envelope) {
+        if (typeof envelope.d !== 'string' || typeof envelope.fromId !== 'string') {
+            this.reportViolation(envelope.fromId, 'malformed_message', 'bin: bad envelope');
+            return null;
+        }
+        try {
+            // null: a snapshot naming entities from before we joined; the next keyframe fixes it
+            return this.codec.decode(envelope);
+        } catch (e) {
+            this.reportViolation(envelope.fromId, 'malformed_message', `bin: ${e.message}`);
+            return null;
+        }
+    }
+
+    // Presence comes from the transport, so silent drops are noticed too
+    handlePresence({ event, id }) {
+        if (!this.partyId) return;
+        if (event === 'join') {
+            this.handlePeerReturned(id);
+            return;
+        }
+        if (event !== 'leave') return;
+
+        if (!this.isHost && id === this.hostId) {
+            this.handleHostDisconnect();
+        } else {
+            this.handlePeerDisconnect(id);
+        }
     }
 
     sendInput(input) {
-        if (this.isHost) return;
+        if (this.isHost || this.isSpectator) return;
         this.broadcast({
             type: 'player_input',
             playerType: this.localPlayerType,
+            seq: input.seq,
             x: input.x,
-            z: input.z
+            z: input.z,
+            ack: this.snapshotReceiver.lastSeq
+        });
+        this.lastAckTime = Date.now();
+    }
+
+    // Host: only accept sane, rate-limited input from the army's owner
+    handleRemoteInput(data) {
+        if (!this.checkOwnership(data)) return;
+        this.handlePeerReturned(data.fromId);
+
+        if (!this.inputLimiter.allow(data.fromId)) {
+            this.reportViolation(data.fromId, 'input_rate_limit', data.playerType);
+            return;
+        }
+
+        // Drop inputs that arrive out of order
+        const lastSeq = this.processedInputs.get(data.playerType) || 0;
+        if (data.seq > lastSeq) {
+            let { x, z } = data;
+            const length = Math.sqrt(x * x + z * z);
+            if (length > 1) {
+                if (length > 1.01) {
+                    this.reportViolation(data.fromId, 'input_magnitude', length.toFixed(2));
+                }
+                x /= length;
+                z /= length;
+            }
+
+            this.remoteInputs.set(data.playerType, { x, z });
+            this.processedInputs.set(data.playerType, data.seq);
+        }
+
+        if (data.ack !== undefined) this.snapshotSender.ack(data.fromId, data.ack);
+    }
+
+    // The sender must be the player who owns data.playerType
+    checkOwnership(data) {
+        if (this.ownsPlayerType(data.fromId, data.playerType)) return true;
+        this.reportViolation(data.fromId, 'wrong_player_type', `${data.type} for ${data.playerType}`);
+        return false;
+    }
+
+    // Everything the diagnostics panel shows, also handy to paste into bug reports
+    getDiagnostics() {
+        return this.stats.getSummary({
+            role: this.isHost ? 'host' : 'client',
+            jitter: Math.round(this.interpolator.jitter),
+            interpDelay: Math.round(this.interpolator.delay),
+            pendingInputs: this.prediction.pending.length,
+            seed: this.app.game.random.seed,
+            violations: this.moderation.entries.length
         });
     }
 
-    // Host broadcasts full game state periodically
+    reportViolation(playerId, reason, detail) {
+        const type = playerId ? this.getPlayerTypeById(playerId) : null;
+        const player = type ? this.players.get(type) : null;
+        this.moderation.record({
+            id: playerId || 'unknown',
+            username: player?.username,
+            type
+        }, reason, detail);
+    }
+
+    // Inputs already carry acks; this covers clients that stopped sending input
+    sendSnapshotAck() {
+        const now = Date.now();
+        if (now - this.lastAckTime < GAME_CONFIG.SNAPSHOT_ACK_INTERVAL) return;
+        this.lastAckTime = now;
+        this.broadcast({ type: 'snapshot_ack', seq: this.snapshotReceiver.lastSeq });
+    }
+
+    // Host broadcasts sequenced keyframes / deltas periodically
     startHostSync() {
         if (!this.isHost) return;
         if (this.syncInterval) clearInterval(this.syncInterval);
@@ -157,50 +528,80 @@ export class NetworkManager {
         this.syncInterval = setInterval(() => {
             if (this.app.game.state !== 'playing') return;
 
-            const gameState = {
-                type: 'game_state',
-                armies: {}
-            };
-
-            this.app.game.armies.forEach((army, type) => {
-                const soldiersData = army.soldiers.map(s => ({
-                    id: s.id,
-                    x: Number(s.mesh.position.x.toFixed(2)),
-                    z: Number(s.mesh.position.z.toFixed(2)),
-                    isLeader: s.isLeader
-                }));
-
-                gameState.armies[type] = {
-                    soldiers: soldiersData,
-                    isInvincible: army.isInvincible,
-                    speedMultiplier: army.speedMultiplier
-                };
-            });
-
-            this.broadcast(gameState);
+            const state = captureState(this.app.game.armies);
+            const snapshot = this.snapshotSender.build(state, this.getRemotePlayerIds());
+            if (snapshot) {
+                // Tell each client which of its inputs is already applied
+                snapshot.inputs = Object.fromEntries(this.processedInputs);
+                this.broadcast(snapshot);
+            }
         }, 1000 / GAME_CONFIG.SYNC_RATE);
     }
 
+    // Everyone receiving snapshots, spectators included
+    getRemotePlayerIds() {
+        const ids = this.getHumanPlayers()
+            .filter(p => p.connected && p.id !== this.identity.currentUser.id)
+            .map(p => p.id);
+        this.spectators.forEach((data, id) => {
+            if (data.connected) ids.push(id);
+        });
+        return ids;
+    }
+
     handleGameStateSync(data) {
         if (this.isHost) return;
         const game = this.app.game;
         if (!game || game.state !== 'playing') return;
 
-        Object.entries(data.armies).forEach(([type, armyData]) => {
+        this.stats.recordSnapshot(data.seq);
+        const state = this.snapshotReceiver.receive(data);
+        if (!state) return;
+        this.sendSnapshotAck();
+
+        // Repairs anything a lost spawn/conversion message left behind
+        this.syncRosters(state);
+
+        // Remote armies are rendered from the buffer in applyInterpolation()
+        this.interpolator.push(data.t, state);
+
+        Object.entries(state).forEach(([type, armyState]) => {
             const army = game.armies.get(type);
             if (!army) return;
 
-            armyData.soldiers.forEach(serverSoldier => {
-                const soldier = army.soldiers.find(s => s.id === serverSoldier.id);
-                if (soldier) {
-                    const lerpSpeed = 0.5;
-                    soldier.mesh.position.x += (serverSoldier.x - soldier.mesh.position.x) * lerpSpeed;
-                    soldier.mesh.position.z += (serverSoldier.z - soldier.mesh.position.z) * lerpSpeed;
+            army.isInvincible = !!armyState.inv;
+            army.isReversed = !!armyState.rev;
+            army.speedMultiplier = armyState.spd;
+
+            // Our own army is predicted locally; rewind and replay
+            if (type === this.localPlayerType) {
+                this.prediction.reconcile(army, game.arena, data.inputs?.[type], armyState.soldiers);
+            }
+        });
+    }
+
+    // Client: place remote soldiers at the interpolated render-time positions
+    applyInterpolation(now = Date.now()) {
+        const positions = this.interpolator.sample(now);
+        if (!positions) return;
+
+        this.app.game.armies.forEach((army, type) => {
+            if (type === this.localPlayerType) return;
+            const armyPositions = positions[type];
+            if (!armyPositions) return;
+
+            army.soldiers.forEach(soldier => {
+                const pos = armyPositions[soldier.id];
+                if (!pos || soldier.isConverting) return;
+
+                const dx = pos.x - soldier.x;
+                const dz = pos.z - soldier.z;
+                if (dx * dx + dz * dz > 0.0001) {
+                    soldier.facing = Math.atan2(dx, dz);
                 }
+                soldier.x = pos.x;
+                soldier.z = pos.z;
             });
-
-            army.isInvincible = armyData.isInvincible;
-            army.speedMultiplier = armyData.speedMultiplier;
         });
     }
 
@@ -220,8 +621,7 @@ export class NetworkManager {
     }
 
     getNextAvailableType() {
-        const types = [SOLDIER_TYPES.PAPER, SOLDIER_TYPES.SCISSORS];
-        for (const type of types) {
+        for (const type of Object.values(SOLDIER_TYPES)) {
             if (!this.players.has(type)) return type;
         }
         return null;
@@ -232,7 +632,8 @@ export class NetworkManager {
             type,
             id: data.id,
             username: data.username,
-            connected: data.connected
+            connected: data.connected,
+            bot: data.bot
         }));
     }
 
@@ -242,61 +643,1116 @@ export class NetworkManager {
             this.players.set(p.type, {
                 id: p.id,
                 username: p.username,
-                connected: p.connected
+                connected: p.connected,
+                bot: p.bot
             });
         });
     }
 
+    // Humans only: bots never ack, vote, get ready or host
+    getHumanPlayers() {
+        return Array.from(this.players.values()).filter(p => !p.bot);
+    }
+
+    // ------------------------------------------------------------------
+    // BOTS (host fills empty armies with AI)
+    // ------------------------------------------------------------------
+
+    addBot(type, difficulty = BOT_DIFFICULTIES.NORMAL) {
+        if (!this.isHost || this.app.game.state !== GAME_STATES.LOBBY) return;
+        if (this.players.has(type)) return;
+
+        console.log(`--- 🤖 Adding ${difficulty} bot as ${type} ---`);
+        this.players.set(type, {
+            id: `bot_${type}`,
+            username: `${type.charAt(0).toUpperCase() + type.slice(1)} Bot`,
+            connected: true,
+            bot: difficulty
+        });
+        this.broadcastRoster();
+    }
+
+    removeBot(type) {
+        if (!this.isHost || this.app.game.state !== GAME_STATES.LOBBY) return;
+        if (!this.players.get(type)?.bot) return;
+
+        this.players.delete(type);
+        this.broadcastRoster();
+    }
+
+    broadcastRoster() {
+        this.broadcast({
+            type: 'roster_update',
+            players: this.getPlayersArray(),
+            spectators: this.getSpectatorsArray()
+        });
+        this.updatePlayerList();
+    }
+
+    getSpectatorsArray() {
+        return Array.from(this.spectators.entries()).map(([id, data]) => ({
+            id,
+            username: data.username,
+            connected: data.connected
+        }));
+    }
+
+    syncSpectatorsFromArray(arr = []) {
+        this.spectators.clear();
+        arr.forEach(s => {
+            this.spectators.set(s.id, { username: s.username, connected: s.connected });
+        });
+    }
+
     updatePlayerList() {
         const playerArray = Array.from(this.players.entries()).map(([type, data]) => ({
             type,
             connected: data.connected,
-            name: data.id === IdentityService.currentUser.id ? 'You' : (data.username || 'Friend')
+            name: data.id === this.identity.currentUser.id ? 'You' : (data.username || 'Friend'),
+            bot: data.bot
         }));
-        this.app.ui.updatePlayerSlots(playerArray);
+        this.app.ui.updatePlayerSlots(playerArray, this.isHost);
+
+        const spectatorArray = Array.from(this.spectators.entries())
+            .filter(([, data]) => data.connected)
+            .map(([id, data]) => id === this.identity.currentUser.id ? 'You' : (data.username || 'Friend'));
+        this.app.ui.updateSpectators(spectatorArray, this.isSpectator && this.getNextAvailableType() !== null);
+        this.app.ui.updatePublicToggle(this.isHost, this.isPublic);
+
+        // The registry shows the player count, so keep it current
+        this.updateRoom();
+    }
+
+    // ------------------------------------------------------------------
+    // ROOM REGISTRY & PUBLIC ROOMS
+    // ------------------------------------------------------------------
+
+    setPublic(isPublic) {
+        if (!this.isHost || !this.partyId) return;
+        this.isPublic = isPublic;
+        console.log(`--- ${isPublic ? '🌍 Listing' : '🔒 Unlisting'} party ${this.partyId} ---`);
+        this.updateRoom();
+    }
+
+    getRoomInfo() {
+        return {
+            id: this.partyId,
+            hostId: this.identity.currentUser.id,
+            hostName: this.identity.currentUser.username,
+            players: this.players.size,
+            maxPlayers: Object.keys(SOLDIER_TYPES).length,
+            spectators: this.getSpectatorsArray().filter(s => s.connected).length,
+            map: GAME_CONFIG.MAP_NAME,
+            state: this.app.game.state,
+            isPublic: this.isPublic
+        };
+    }
+
+    // Host: roster, state or visibility changed (and the periodic keep-alive)
+    updateRoom() {
+        if (!this.isHost || !this.partyId) return;
+        this.lastRoomUpdate = Date.now();
+        this.rooms.update(this.getRoomInfo());
+    }
+
+    // Join the fullest open lobby, or host a public one if there is none
+    async quickMatch() {
+        const room = await this.rooms.findQuickMatch();
+        if (room) {
+            console.log(`--- ⚡ Quick match: ${room.id} (${room.players}/${room.maxPlayers}) ---`);
+            this.joinParty(room.id);
+        } else {
+            console.log('--- ⚡ Quick match: no open rooms, hosting one ---');
+            this.createParty({ isPublic: true });
+        }
     }
 
+    // ------------------------------------------------------------------
+    // ENTITY LIFECYCLE (host decides, clients follow)
+    // ------------------------------------------------------------------
+
     sendConversion(soldierId, fromType, toType) {
+        if (!this.isHost) return;
         this.broadcast({ type: 'conversion', soldierId, fromType, toType });
     }
 
-    leaveParty() {
-        this.broadcast({ type: 'player_left' });
-        if (this.syncInterval) clearInterval(this.syncInterval);
-        RealtimeService.leave();
-        this.players.clear();
-        this.remoteInputs.clear();
-        this.isHost = false;
-        this.partyId = null;
+    sendSpawn(armyType, soldiers) {
+        if (!this.isHost || soldiers.length === 0) return;
+        this.broadcast({
+            type: 'entity_spawn',
+            army: armyType,
+            soldiers: soldiers.map(s => ({
+                id: s.id,
+                x: s.x,
+                z: s.z,
+                isLeader: s.isLeader
+            }))
+        });
     }
 
-    handleHostDisconnect() {
-        alert('Host disconnected! Returning to menu.');
-        this.leaveParty();
-        this.app.game.reset();
+    sendLeaderPromoted(armyType, soldierId) {
+        if (!this.isHost) return;
+        this.broadcast({ type: 'leader_promoted', army: armyType, soldierId });
     }
 
-    handlePeerDisconnect(playerId) {
-        console.log('Player disconnected:', playerId);
-        for (const [type, data] of this.players) {
-            if (data.id === playerId) {
-                data.connected = false;
-                this.updatePlayerList();
+    handleEntitySpawn(data) {
+        if (this.isHost) return;
+        const army = this.app.game.armies.get(data.army);
+        if (!army) return;
+
+        data.soldiers.forEach(({ id, x, z, isLeader }) => {
+            if (this.findSoldier(id)) return;
+            army.spawnSoldier(id, x, z, isLeader);
+        });
+    }
+
+    handleLeaderPromoted(data) {
+        if (this.isHost) return;
+        const army = this.app.game.armies.get(data.army);
+        const soldier = army && army.soldiers.find(s => s.id === data.soldierId);
+        if (soldier) army.promoteLeader(soldier);
+    }
+
+    // ------------------------------------------------------------------
+    // POWER-UPS (host decides, clients mirror)
+    // ------------------------------------------------------------------
+
+    sendPowerUpSpawn(powerUp) {
+        if (!this.isHost) return;
+        this.broadcast({
+            type: 'powerup_spawn',
+            id: powerUp.id,
+            powerType: powerUp.type,
+            x: powerUp.x,
+            z: powerUp.z
+        });
+    }
+
+    sendPowerUpCollect(powerUp, armyType) {
+        if (!this.isHost) return;
+        this.broadcast({ type: 'powerup_collect', id: powerUp.id, army: armyType });
+    }
+
+    sendEffectStart(armyType, effect, duration, params = {}) {
+        if (!this.isHost) return;
+        this.broadcast({ type: 'effect_start', army: armyType, effect, duration, params });
+    }
+
+    sendEffectEnd(armyType, effect) {
+        if (!this.isHost) return;
+        this.broadcast({ type: 'effect_end', army: armyType, effect });
+    }
+
+    handlePowerUpEvent(data) {
+        const game = this.app.game;
+        const manager = game.powerUpManager;
+        if (!manager) return;
+
+        switch (data.type) {
+            case 'powerup_spawn':
+                if (!manager.powerUps.some(p => p.id === data.id)) {
+                    manager.addPowerUp(data.powerType, data.x, data.z, data.id);
+                }
+                break;
+
+            case 'powerup_collect':
+                manager.collectById(data.id, data.army);
+                break;
+
+            case 'effect_start':
+                manager.applyRemoteEffect(data.army, data.effect, data.duration, data.params);
+                break;
+
+            case 'effect_end': {
+                const army = game.armies.get(data.army);
+                if (army) army.endEffect(data.effect);
                 break;
             }
         }
     }
 
-    generatePartyId() {
-        return Math.random().toString(36).substring(2, 8).toUpperCase();
+    findSoldier(id) {
+        for (const army of this.app.game.armies.values()) {
+            const soldier = army.soldiers.find(s => s.id === id);
+            if (soldier) return { soldier, army };
+        }
+        return null;
     }
 
-    // Compatibility methods
-    getPlayerInput(type) {
-        return this.remoteInputs.get(type) || { x: 0, z: 0 };
+    // Client: make every army's roster match the host snapshot
+    syncRosters(state) {
+        const game = this.app.game;
+
+        const local = new Map();
+        game.armies.forEach(army => {
+            army.soldiers.forEach(soldier => local.set(soldier.id, { soldier, army }));
+        });
+
+        const seen = new Set();
+        Object.entries(state).forEach(([type, armyState]) => {
+            const army = game.armies.get(type);
+            if (!army) return;
+
+            Object.entries(armyState.soldiers).forEach(([id, [qx, qz, leader]]) => {
+                seen.add(id);
+                const entry = local.get(id);
+
+                if (!entry) {
+                    army.spawnSoldier(id, dequantize(qx), dequantize(qz), !!leader);
+                    return;
+                }
+
+                // Mid-animation conversions finish on their own
+                if (entry.soldier.isConverting) return;
+
+                if (entry.army !== army) {
+                    game.transferSoldier(entry.soldier, entry.army, army);
+                }
+                if (leader && army.leader !== entry.soldier) {
+                    army.promoteLeader(entry.soldier);
+                }
+            });
+        });
+
+        local.forEach(({ soldier, army }, id) => {
+            if (!seen.has(id) && !soldier.isConverting) {
+                army.despawnSoldier(soldier);
+            }
+        });
+    }
+
+    leaveParty() {
+        this.broadcast({ type: 'player_left' });
+        // With anyone left, one of them takes over as host and keeps the room alive
+        if (this.isHost && (!this.transport.supportsMigration || this.getRemotePlayerIds().length === 0)) {
+            this.rooms.close(this.getRoomInfo());
+        }
+        this.stopJoinTimer();
+        if (this.syncInterval) clearInterval(this.syncInterval);
+        this.stopHeartbeat();
+        this.stopHostWatchdog();
+        this.transport.leave();
+        this.forgetParty();
+        this.players.clear();
+        this.spectators.clear();
+        this.remoteInputs.clear();
+        this.readyPlayers.clear();
+        this.rematchVotes.clear();
+        this.isHost = false;
+        this.isSpectator = false;
+        this.isPublic = false;
+        this.hostId = null;
+        this.partyId = null;
+    }
+
+    // ------------------------------------------------------------------
+    // HOST MIGRATION
+    // ------------------------------------------------------------------
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatInterval = setInterval(() => {
+            if (!this.isHost) return;
+
+            const game = this.app.game;
+            const heartbeat = { type: 'heartbeat', phase: game.state };
+            if (game.state === GAME_STATES.PLACEMENT) {
+                heartbeat.placementTimer = game.placementTimer;
+            }
+            if (game.state === GAME_STATES.ENDED && this.lastWinner) {
+                heartbeat.winner = this.lastWinner;
+            }
+            if (this.isPublic) heartbeat.isPublic = true;
+            this.broadcast(heartbeat);
+
+            if (Date.now() - this.lastRoomUpdate >= GAME_CONFIG.ROOM_REFRESH_INTERVAL) {
+                this.updateRoom();
+            }
+
+            if (Date.now() - this.lastPingTime >= GAME_CONFIG.PING_INTERVAL) {
+                this.lastPingTime = Date.now();
+                this.broadcast({ type: 'ping', t: this.lastPingTime, rtts: Object.fromEntries(this.stats.rtts) });
+            }
+        }, GAME_CONFIG.HEARTBEAT_INTERVAL);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
+        this.heartbeatInterval = null;
+    }
+
+    // Client: treat a host that has been silent for HOST_TIMEOUT as gone
+    startHostWatchdog() {
+        this.stopHostWatchdog();
+        this.lastHostMessageTime = Date.now();
+        this.hostWatchdog = setInterval(() => {
+            if (this.isHost || !this.hostId) return;
+            if (Date.now() - this.lastHostMessageTime > GAME_CONFIG.HOST_TIMEOUT) {
+                console.warn('⚠️ Host went silent');
+                this.handleHostDisconnect();
+            }
+        }, GAME_CONFIG.HEARTBEAT_INTERVAL);
+    }
+
+    stopHostWatchdog() {
+        if (this.hostWatchdog) clearInterval(this.hostWatchdog);
+        this.hostWatchdog = null;
+    }
+
+    // Client: follow the host's phase when the message that changed it was lost
+    catchUpPhase({ phase, winner }) {
+        if (this.isHost || (!this.localPlayerType && !this.isSpectator)) return;
+
+        const game = this.app.game;
+        const inMatch = state => state === GAME_STATES.PLACEMENT || state === GAME_STATES.PLAYING;
+
+        if (phase === GAME_STATES.ENDED && inMatch(game.state) && winner) {
+            console.warn('⚠️ Missed game_over, catching up');
+            this.lastWinner = winner;
+            game.endGame(winner);
+        } else if (phase === GAME_STATES.PLAYING && game.state === GAME_STATES.PLACEMENT) {
+            console.warn('⚠️ Missed battle_start, catching up');
+            this.handleBattleStart({ type: 'battle_start', layout: null });
+        } else if (inMatch(phase) && !inMatch(game.state)) {
+            this.requestResync();
+        }
+    }
+
+    // Client: missed game_start, so we have no arena or seed; the host sends everything
+    requestResync() {
+        const now = Date.now();
+        if (now - this.lastResyncRequest < GAME_CONFIG.RESYNC_REQUEST_INTERVAL) return;
+        this.lastResyncRequest = now;
+
+        console.warn('⚠️ Missed game_start, asking the host for the match');
+        this.broadcast({ type: 'resync_request' });
+    }
+
+    handleResyncRequest(playerId) {
+        const state = this.app.game.state;
+        if (state !== GAME_STATES.PLACEMENT && state !== GAME_STATES.PLAYING) return;
+        if (!this.getPlayerTypeById(playerId) && !this.spectators.has(playerId)) return;
+
+        if (!this.resyncLimiter.allow(playerId)) {
+            this.reportViolation(playerId, 'resync_rate_limit');
+            return;
+        }
+        this.broadcast(this.buildFullState(playerId));
+    }
+
+    // Every client runs the same election, so they agree without talking
+    handleHostDisconnect() {
+        const oldHostId = this.hostId;
+        this.handlePeerDisconnect(oldHostId);
+
+        // PeerJS links all run through the old host's peer id, so they died with it
+        const newHost = this.transport.supportsMigration ? this.electHost() : null;
+        if (!newHost) {
+            this.window?.alert('Host disconnected! Returning to menu.');
+            this.leaveParty();
+            this.app.game.reset();
+            return;
+        }
+
+        console.log(`--- 👑 Host ${oldHostId} lost, new host: ${newHost.username} ---`);
+
+        if (newHost.id === this.identity.currentUser.id) {
+            this.becomeHost();
+        } else {
+            this.followNewHost(newHost.id);
+        }
+    }
+
+    // Lowest connected slot (Rock, Paper, Scissors order) wins; `excludeId` is the host being replaced
+    electHost(excludeId = null) {
+        for (const type of Object.values(SOLDIER_TYPES)) {
+            const player = this.players.get(type);
+            if (player && player.connected && !player.bot && player.id !== excludeId) return player;
+        }
+        return null;
+    }
+
+    becomeHost() {
+        this.isHost = true;
+        this.hostId = this.identity.currentUser.id;
+        this.stopHostWatchdog();
+
+        this.remoteInputs.clear();
+        this.processedInputs.clear();
+        this.readyPlayers.clear();
+        this.snapshotSender.reset();
+        this.codec.reset();
+
+        // Continue from what the old host last told us
+        this.restoreFromLastSnapshot();
+        this.releaseDroppedSlots();
+
+        this.broadcast({
+            type: 'host_migrated',
+            players: this.getPlayersArray(),
+            spectators: this.getSpectatorsArray()
+        });
+
+        this.updatePlayerList();
+        this.startHostSync();
+        this.startHeartbeat();
+    }
+
+    restoreFromLastSnapshot() {
+        const game = this.app.game;
+        const state = this.snapshotReceiver.getLatest();
+        if (!state) return;
+
+        Object.entries(state).forEach(([type, armyState]) => {
+            const army = game.armies.get(type);
+            if (!army) return;
+
+            army.isInvincible = !!armyState.inv;
+            army.isReversed = !!armyState.rev;
+            army.speedMultiplier = armyState.spd;
+
+            // Our own army is already ahead thanks to prediction
+            if (type === this.localPlayerType) return;
+
+            army.soldiers.forEach(soldier => {
+                const entity = armyState.soldiers[soldier.id];
+                if (!entity) return;
+                soldier.x = dequantize(entity[0]);
+                soldier.z = dequantize(entity[1]);
+            });
+        });
+    }
+
+    followNewHost(hostId) {
+        this.hostId = hostId;
+
+        // The new host numbers its snapshots from scratch
+        this.snapshotReceiver.reset();
+        this.stats.resetSnapshots();
+        this.codec.reset();
+        this.interpolator.reset();
+        this.startHostWatchdog();
+    }
+
+    handleHostMigrated(data) {
+        // Only the peer our own election picks may take over (we may not have noticed the drop yet)
+        if (!this.isHost && data.fromId !== this.hostId) {
+            if (!this.transport.supportsMigration || this.electHost(this.hostId)?.id !== data.fromId) {
+                this.reportViolation(data.fromId, 'host_takeover', `host is ${this.hostId}`);
+                return;
+            }
+            this.handlePeerDisconnect(this.hostId);
+        }
+
+        if (this.isHost && data.fromId !== this.identity.currentUser.id) {
+            // Two peers elected themselves (split view of presence): lower slot keeps it
+            const mine = Object.values(SOLDIER_TYPES).indexOf(this.localPlayerType);
+            const theirs = Object.values(SOLDIER_TYPES).indexOf(this.getPlayerTypeById(data.fromId));
+            if (theirs === -1 || mine < theirs) return;
+
+            this.isHost = false;
+            if (this.syncInterval) clearInterval(this.syncInterval);
+            this.syncInterval = null;
+            this.stopHeartbeat();
+        }
+
+        if (data.fromId !== this.hostId) {
+            this.followNewHost(data.fromId);
+        }
+        if (data.players) this.syncPlayersFromArray(data.players);
+        this.syncSpectatorsFromArray(data.spectators);
+        this.updatePlayerList();
+    }
+
+    getPlayerTypeById(playerId) {
+        for (const [type, data] of this.players) {
+            if (data.id === playerId) return type;
+        }
+        return null;
+    }
+
+    handlePeerDisconnect(playerId) {
+        console.log('Player disconnected:', playerId);
+
+        // Spectators have nothing to keep; a rejoin just adds them again
+        if (this.spectators.delete(playerId)) {
+            this.snapshotSender.forgetPeer(playerId);
+            this.stats.rtts.delete(playerId);
+            this.updatePlayerList();
+            return;
+        }
+
+        for (const [type, data] of this.players) {
+            if (data.id === playerId) {
+                data.connected = false;
+                data.disconnectedAt = Date.now();
+                this.remoteInputs.delete(type);
+                this.snapshotSender.forgetPeer(playerId);
+                this.stats.rtts.delete(playerId);
+                if (this.releaseDroppedSlots()) {
+                    this.broadcastRoster();
+                } else {
+                    this.updatePlayerList();
+                }
+                break;
+            }
+        }
+    }
+
+    // Host: a dropped player's army is kept for them only during a match;
+    // between matches the slot is free for spectators and bots again
+    releaseDroppedSlots() {
+        const state = this.app.game.state;
+        if (!this.isHost || (state !== GAME_STATES.LOBBY && state !== GAME_STATES.ENDED)) return false;
+
+        let released = false;
+        for (const [type, data] of this.players) {
+            if (data.connected || data.bot) continue;
+            console.log(`--- 🪑 ${data.username} left, ${type} is free ---`);
+            this.players.delete(type);
+            this.readyPlayers.delete(type);
+            released = true;
+        }
+        return released;
+    }
+
+    // Host: a player we marked dropped is talking again without rejoining (a brief blip)
+    handlePeerReturned(playerId) {
+        if (!this.isHost) return;
+        const type = this.getPlayerTypeById(playerId);
+        const player = type ? this.players.get(type) : null;
+        if (!player || player.bot || player.connected) return;
+
+        console.log(`--- 🔁 ${player.username} is back as ${type} ---`);
+        player.connected = true;
+        delete player.disconnectedAt;
+        this.broadcastRoster();
+
+        // Whatever they missed while gone, resend from a keyframe
+        this.snapshotSender.forgetPeer(playerId);
+        const state = this.app.game.state;
+        if (state === GAME_STATES.PLACEMENT || state === GAME_STATES.PLAYING) {
+            this.broadcast(this.buildFullState(playerId));
+        }
+    }
+
+    // Dropped players idle for a grace window, then the AI takes their army
+    getPlayerInput(type) {
+        const player = this.players.get(type);
+        if (player?.bot) return this.app.game.getAIInput(type, player.bot);
+        if (player && !player.connected &&
+            Date.now() - player.disconnectedAt > GAME_CONFIG.RECONNECT_GRACE_PERIOD) {
+            return this.app.game.getAIInput(type);
+        }
+        return this.remoteInputs.get(type) || { x: 0, z: 0 };
+    }
+
+    // ------------------------------------------------------------------
+    // JOIN / REJOIN
+    // ------------------------------------------------------------------
+
+    handleJoinRequest(data) {
+        // Nobody may ask to join under someone else's identity
+        if (data.id !== data.fromId) {
+            this.reportViolation(data.fromId, 'join_spoof', data.id);
+            return;
+        }
+
+        if (data.version !== PROTOCOL_VERSION) {
+            console.warn(`🚫 ${data.username} runs protocol v${data.version}, we run v${PROTOCOL_VERSION}`);
+            this.broadcast({ type: 'version_mismatch', targetId: data.id, hostVersion: PROTOCOL_VERSION });
+            return;
+        }
+
+        // A returning identity gets its old slot back (bot slots aren't anyone's)
+        const existingType = this.getPlayerTypeById(data.id);
+        const returningType = existingType && !this.players.get(existingType).bot ? existingType : null;
+        const assignedType = returningType || (this.spectators.has(data.id) ? null : this.getNextAvailableType());
+
+        // No free army: watch instead
+        if (!assignedType) {
+            this.addSpectator(data);
+            return;
+        }
+
+        if (returningType) {
+            console.log(`--- 🔁 ${data.username} rejoined as ${returningType} ---`);
+            // Their input numbering starts over after a refresh
+            this.processedInputs.delete(returningType);
+            this.snapshotSender.forgetPeer(data.id);
+        }
+
+        this.players.set(assignedType, {
+            id: data.id,
+            username: data.username,
+            connected: true
+        });
+
+        this.sendAssignment(data.id, assignedType);
+    }
+
+    // Host: tell `targetId` its slot (null = spectator) and everyone the new roster
+    sendAssignment(targetId, playerType) {
+        this.broadcast({
+            type: 'player_assigned',
+            targetId,
+            playerType,
+            players: this.getPlayersArray(),
+            spectators: this.getSpectatorsArray()
+        });
+
+        // Match already running: send everything needed to rebuild it
+        const state = this.app.game.state;
+        if (state === GAME_STATES.PLACEMENT || state === GAME_STATES.PLAYING) {
+            this.broadcast(this.buildFullState(targetId));
+        }
+
+        this.updatePlayerList();
+    }
+
+    // Host: seat a joiner in the stands, or turn them away when those are full too
+    addSpectator(data) {
+        if (!this.spectators.has(data.id) && this.spectators.size >= GAME_CONFIG.MAX_SPECTATORS) {
+            this.broadcast({ type: 'party_full', targetId: data.id });
+            return;
+        }
+
+        console.log(`--- 👁️ ${data.username} is spectating ---`);
+        this.snapshotSender.forgetPeer(data.id);
+        this.spectators.set(data.id, { username: data.username, connected: true });
+        this.sendAssignment(data.id, null);
+    }
+
+    // Client: the host answered our join_request (or take_slot)
+    handleAssigned(data) {
+        const game = this.app.game;
+        const wasSpectator = this.isSpectator;
+
+        this.localPlayerType = data.playerType;
+        this.isSpectator = data.playerType === null;
+        this.hostId = data.fromId;
+        this.stopJoinTimer();
+        this.startHostWatchdog();
+        this.syncPlayersFromArray(data.players);
+        this.syncSpectatorsFromArray(data.spectators);
+
+        if (wasSpectator && game.state === GAME_STATES.ENDED) {
+            // Took a slot from the game over screen: we count as wanting the rematch
+            this.app.ui.showRematchPending();
+        } else {
+            game.state = GAME_STATES.LOBBY;
+            this.app.ui.showLobby(this.partyId, this.localPlayerType);
+        }
+
+        this.app.ui.hideJoinModal();
+        this.updatePlayerList();
+        this.rememberParty();
+    }
+
+    // Spectator: ask the host for a free army before the next match
+    takeSlot() {
+        if (!this.isSpectator) return;
+        this.broadcast({ type: 'take_slot' });
+    }
+
+    // Host: only between matches, and only if an army is free
+    handleTakeSlot(playerId) {
+        const spectator = this.spectators.get(playerId);
+        if (!spectator) return;
+
+        const state = this.app.game.state;
+        if (state !== GAME_STATES.LOBBY && state !== GAME_STATES.ENDED) return;
+
+        const type = this.getNextAvailableType();
+        if (!type) return;
+
+        console.log(`--- 🎮 ${spectator.username} takes the ${type} slot ---`);
+        this.spectators.delete(playerId);
+        this.players.set(type, { id: playerId, username: spectator.username, connected: true });
+        this.sendAssignment(playerId, type);
+
+        if (state === GAME_STATES.ENDED) this.addRematchVote(playerId);
+    }
+
+    // Players and spectators alike; everyone filters what they receive too
+    sendChat(text) {
+        const clean = cleanChatMessage(text);
+        if (clean) this.broadcastChat({ text: clean });
+    }
+
+    sendQuickChat(index) {
+        if (QUICK_CHAT[index]) this.broadcastChat({ preset: index });
+    }
+
+    broadcastChat(content) {
+        // Not assigned yet, nobody would accept it
+        if (!this.partyId || (!this.localPlayerType && !this.isSpectator)) return;
+
+        const { id, username } = this.identity.currentUser;
+        this.broadcast({ type: 'chat', username, playerType: this.localPlayerType, ...content });
+        this.app.chatUi?.addMessage({
+            fromId: id,
+            username,
+            playerType: this.localPlayerType,
+            text: content.text ?? QUICK_CHAT[content.preset],
+            self: true
+        });
+    }
+
+    handleChat(data) {
+        if ((data.text === undefined) === (data.preset === undefined)) return;
+
+        // The roster, not the message, says who is talking
+        const type = this.getPlayerTypeById(data.fromId);
+        const sender = type ? this.players.get(type) : this.spectators.get(data.fromId);
+        if (!sender || (type || null) !== data.playerType) {
+            this.reportViolation(data.fromId, 'chat_spoof', data.playerType);
+            return;
+        }
+
+        if (!this.chatLimiter.allow(data.fromId)) {
+            this.reportViolation(data.fromId, 'chat_rate_limit');
+            return;
+        }
+
+        const text = data.preset !== undefined ? QUICK_CHAT[data.preset] : cleanChatMessage(data.text);
+        if (!text) return;
+
+        this.app.chatUi?.addMessage({
+            fromId: data.fromId,
+            username: sender.username || data.username,
+            playerType: type,
+            text
+        });
+    }
+
+    // Host: keyframe with army membership, positions, effects and power-ups
+    buildFullState(targetId) {
+        const game = this.app.game;
+        const armies = captureState(game.armies);
+
+        game.armies.forEach((army, type) => {
+            armies[type].effects = army.getActiveEffects();
+        });
+
+        return {
+            type: 'full_state',
+            targetId,
+            phase: game.state,
+            placementTimer: game.placementTimer,
+            armies,
+            powerUps: game.powerUpManager ? game.powerUpManager.getState() : [],
+            seed: game.random.seed
+        };
+    }
+
+    handleFullState(data) {
+        const game = this.app.game;
+        console.log('--- 📦 Full state resync ---');
+
+        this.snapshotReceiver.reset();
+        this.stats.resetSnapshots();
+        this.codec.reset();
+        this.interpolator.reset();
+        this.prediction.reset();
+
+        // Fresh page: build the arena and armies first
+        if (game.state !== GAME_STATES.PLACEMENT && game.state !== GAME_STATES.PLAYING) {
+            game.startGame(this.localPlayerType, data.seed);
+        }
+
+        Object.entries(data.armies).forEach(([type, armyState]) => {
+            const army = game.armies.get(type);
+            if (!army) return;
+
+            army.rebuildSoldiers(Object.entries(armyState.soldiers).map(([id, [qx, qz, leader]]) => ({
+                id,
+                x: dequantize(qx),
+                z: dequantize(qz),
+                isLeader: !!leader
+            })));
+            army.restoreEffects(armyState.effects || []);
+        });
+
+        if (game.powerUpManager) {
+            game.powerUpManager.setState(data.powerUps || []);
+        }
+
+        if (data.phase === GAME_STATES.PLACEMENT) {
+            game.placementTimer = data.placementTimer;
+        } else if (data.phase === GAME_STATES.PLAYING && game.state === GAME_STATES.PLACEMENT) {
+            game.startBattle();
+        }
+    }
+
+    // Survives a refresh in this tab so we can jump straight back in
+    rememberParty() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem('rps_last_party', JSON.stringify({
+                partyId: this.partyId,
+                savedAt: Date.now()
+            }));
+        } catch (e) {
+            console.warn('SessionStorage error:', e);
+        }
+    }
+
+    forgetParty() {
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem('rps_last_party');
+        } catch (e) {
+            console.warn('SessionStorage error:', e);
+        }
+    }
+
+    // Called once identity is ready: rejoin the party this tab was in
+    resumeLastParty() {
+        if (!this.storage) return;
+        let last = null;
+        try {
+            last = JSON.parse(this.storage.getItem('rps_last_party'));
+        } catch (e) {
+            return;
+        }
+        if (!last || !last.partyId || this.partyId) return;
+        if (Date.now() - last.savedAt > GAME_CONFIG.RECONNECT_GRACE_PERIOD) {
+            this.forgetParty();
+            return;
+        }
+
+        console.log(`--- 🔁 Rejoining party ${last.partyId} ---`);
+        this.joinParty(last.partyId, { rejoin: true });
+    }
+
+    // ------------------------------------------------------------------
+    // MATCH FLOW (Lobby -> Placement -> Battle -> Rematch)
+    // ------------------------------------------------------------------
+
+    // Host only: move every peer from the lobby into placement together
+    startGame() {
+        if (!this.isHost) return;
+
+        const state = this.app.game.state;
+        if (state !== GAME_STATES.LOBBY && state !== GAME_STATES.ENDED) return;
+
+        const startMsg = {
+            type: 'game_start',
+            players: this.getPlayersArray(),
+            spectators: this.getSpectatorsArray(),
+            seed: getSeedFromUrl() ?? generateSeed()
+        };
+
+        this.broadcast(startMsg);
+        this.handleGameStart(startMsg);
+        this.updateRoom();
     }
 
     handleGameStart(data) {
-        this.app.game.startMatch();
+        const game = this.app.game;
+        if (game.state !== GAME_STATES.LOBBY && game.state !== GAME_STATES.ENDED) return;
+
+        if (data.players) this.syncPlayersFromArray(data.players);
+        this.syncSpectatorsFromArray(data.spectators);
+
+        this.readyPlayers.clear();
+        this.rematchVotes.clear();
+        this.lastWinner = null;
+        this.remoteInputs.clear();
+        this.snapshotSender.reset();
+        this.snapshotReceiver.reset();
+        this.stats.resetSnapshots();
+        this.codec.reset();
+        this.prediction.reset();
+        this.processedInputs.clear();
+        this.interpolator.reset();
+
+        game.startGame(this.localPlayerType, data.seed);
+    }
+
+    sendReady() {
+        const game = this.app.game;
+        if (this.isSpectator || game.state !== GAME_STATES.PLACEMENT || game.isReady) return;
+        game.isReady = true;
+
+        if (game.isSoloTest) {
+            game.startBattle();
+            return;
+        }
+
+        if (this.isHost) {
+            this.markReady(this.localPlayerType);
+        } else {
+            this.broadcast({
+                type: 'player_ready',
+                playerType: this.localPlayerType,
+                positions: this.getLocalPlacement()
+            });
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // PLACEMENT (clients propose, host validates and shares)
+    // ------------------------------------------------------------------
+
+    getLocalPlacement() {
+        const army = this.app.game.armies.get(this.localPlayerType);
+        if (!army) return [];
+        return army.soldiers.map(s => ({
+            id: s.id,
+            x: Number(s.x.toFixed(2)),
+            z: Number(s.z.toFixed(2))
+        }));
+    }
+
+    sendPlacement() {
+        if (this.isSpectator || this.app.game.state !== GAME_STATES.PLACEMENT) return;
+
+        if (this.isHost) {
+            this.broadcastLayout();
+        } else {
+            this.broadcast({
+                type: 'placement_update',
+                playerType: this.localPlayerType,
+                positions: this.getLocalPlacement()
+            });
+        }
+    }
+
+    ownsPlayerType(playerId, playerType) {
+        const player = this.players.get(playerType);
+        return !!player && player.id === playerId;
+    }
+
+    // Host: accept positions inside the player's spawn zone, ignore the rest
+    applyPlacement(playerType, positions) {
+        const game = this.app.game;
+        if (game.state !== GAME_STATES.PLACEMENT) return;
+
+        const army = game.armies.get(playerType);
+        if (!army) return;
+
+        positions.forEach(({ id, x, z }) => {
+            const soldier = army.soldiers.find(s => s.id === id);
+            if (!soldier) return;
+
+            const spot = game.arena.getValidPlacement(playerType, x, z);
+            if (spot) {
+                soldier.setPosition(spot.x, spot.z);
+            } else {
+                console.warn(`⚠️ Rejected placement for ${id}:`, x, z);
+            }
+        });
+
+        this.broadcastLayout();
+    }
+
+    // { [armyType]: [[id, x, z], ...] } for every army
+    getLayout() {
+        const layout = {};
+        this.app.game.armies.forEach((army, type) => {
+            layout[type] = army.soldiers.map(s => [
+                s.id,
+                Number(s.x.toFixed(2)),
+                Number(s.z.toFixed(2))
+            ]);
+        });
+        return layout;
+    }
+
+    broadcastLayout() {
+        if (!this.isHost) return;
+        this.broadcast({ type: 'placement_sync', layout: this.getLayout() });
+    }
+
+    // `final` is the host's layout at battle start, which overrides our own placement too
+    applyLayout(layout, final = false) {
+        if (!layout) return;
+        const game = this.app.game;
+
+        Object.entries(layout).forEach(([type, soldiers]) => {
+            const army = game.armies.get(type);
+            if (!army) return;
+            // Until then our own army is placed locally; the host's echo of it lags behind
+            if (!final && type === this.localPlayerType && game.state === GAME_STATES.PLACEMENT) return;
+
+            soldiers.forEach(([id, x, z]) => {
+                const soldier = army.soldiers.find(s => s.id === id);
+                if (!soldier) return;
+                soldier.x = x;
+                soldier.z = z;
+            });
+        });
+    }
+
+    // Host only: record a ready player and start once everyone connected is ready
+    markReady(playerType) {
+        if (!this.players.has(playerType)) return;
+        this.readyPlayers.add(playerType);
+
+        const pending = Array.from(this.players.entries())
+            .filter(([type, data]) => data.connected && !data.bot && !this.readyPlayers.has(type));
+
+        if (pending.length === 0) {
+            this.beginBattle();
+        }
+    }
+
+    // Host only: called when everyone is ready or the placement timer runs out
+    beginBattle() {
+        if (!this.isHost) return;
+        if (this.app.game.state !== GAME_STATES.PLACEMENT) return;
+
+        // Everyone starts from the host's validated layout
+        const startMsg = { type: 'battle_start', layout: this.getLayout() };
+        this.broadcast(startMsg);
+        this.handleBattleStart(startMsg);
+    }
+
+    handleBattleStart(data) {
+        const game = this.app.game;
+        if (game.state !== GAME_STATES.PLACEMENT) return;
+
+        if (!this.isHost) {
+            if (game.draggedSoldier) {
+                game.draggedSoldier.isDragging = false;
+                game.draggedSoldier = null;
+            }
+            // No layout when caught up from a heartbeat; snapshots place everyone
+            if (data.layout) this.applyLayout(data.layout, true);
+        }
+        game.startBattle();
+    }
+
+    sendGameOver(winnerType) {
+        if (!this.isHost) return;
+        this.lastWinner = winnerType;
+        this.broadcast({ type: 'game_over', winner: winnerType });
+
+        // Whoever dropped out during the match won't be back for the rematch
+        if (this.releaseDroppedSlots()) this.broadcastRoster();
+    }
+
+    requestRematch() {
+        if (this.isSpectator) return;
+        if (this.isHost) {
+            this.addRematchVote(this.identity.currentUser.id);
+        } else {
+            this.broadcast({ type: 'rematch_request' });
+        }
+    }
+
+    // Host only: restart when every connected player asked for a rematch
+    addRematchVote(playerId) {
+        if (this.app.game.state !== GAME_STATES.ENDED) return;
+        this.rematchVotes.add(playerId);
+
+        const pending = this.getHumanPlayers()
+            .filter(data => data.connected && !this.rematchVotes.has(data.id));
+
+        if (pending.length === 0) {
+            this.startGame();
+        }
     }
 }
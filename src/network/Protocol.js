@@ -0,0 +1,184 @@
+// Protocol - Versioned schema for every party message
+//
+// Each message type lists its fields and who may send it. handleMessage
+// rejects anything with unknown or malformed fields (NaN coordinates, missing
+// armies...) and host-only messages that don't come from the current host.
+import { SOLDIER_TYPES, POWERUP_TYPES, GAME_STATES, BOT_DIFFICULTIES, GAME_CONFIG, QUICK_CHAT } from '../utils/constants.js';
+
+// Bump whenever a message shape changes; peers must match exactly
+export const PROTOCOL_VERSION = 9;
+
+const MAX_LIST = 512;
+
+// --- Field checks ---------------------------------------------------
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const str = v => typeof v === 'string' && v.length > 0 && v.length <= 128;
+const int = v => Number.isInteger(v);
+const num = v => Number.isFinite(v);
+const bool = v => typeof v === 'boolean';
+const flag = v => v === 0 || v === 1;
+const soldierType = v => Object.values(SOLDIER_TYPES).includes(v);
+const powerUpType = v => Object.values(POWERUP_TYPES).includes(v);
+const gameState = v => Object.values(GAME_STATES).includes(v);
+const botDifficulty = v => Object.values(BOT_DIFFICULTIES).includes(v);
+const chatText = v => typeof v === 'string' && v.length > 0 && v.length <= GAME_CONFIG.CHAT_MAX_LENGTH;
+const chatPreset = v => Number.isInteger(v) && v >= 0 && v < QUICK_CHAT.length;
+
+const optional = check => v => v === undefined || check(v);
+const nullable = check => v => v === null || check(v);
+const arrayOf = check => v => Array.isArray(v) && v.length <= MAX_LIST && v.every(check);
+const tuple = (...checks) => v => Array.isArray(v) && v.length === checks.length && checks.every((c, i) => c(v[i]));
+const shape = fields => v => isObject(v) && Object.entries(fields).every(([key, check]) => check(v[key]));
+const recordOf = (keyCheck, valueCheck) => v =>
+    isObject(v) && Object.keys(v).length <= MAX_LIST &&
+    Object.entries(v).every(([key, value]) => keyCheck(key) && valueCheck(value));
+
+// --- Shared shapes --------------------------------------------------
+const player = shape({ type: soldierType, id: str, username: optional(str), connected: bool, bot: optional(botDifficulty) });
+const spectator = shape({ id: str, username: optional(str), connected: bool });
+const position = shape({ id: str, x: num, z: num });
+const layout = recordOf(soldierType, arrayOf(tuple(str, num, num)));
+
+const snapshotArmy = shape({
+    inv: optional(flag),
+    rev: optional(flag),
+    spd: optional(num),
+    s: optional(arrayOf(tuple(str, int, int, flag))),
+    rm: optional(arrayOf(str))
+});
+
+const fullStateArmy = shape({
+    inv: flag,
+    rev: flag,
+    spd: num,
+    soldiers: recordOf(str, tuple(int, int, flag)),
+    effects: arrayOf(shape({ type: powerUpType, remaining: num, multiplier: optional(num) }))
+});
+
+// --- Message schemas ------------------------------------------------
+// host: true -> only the current host may send it
+export const MESSAGE_SCHEMAS = {
+    // version stays optional so old builds still get a version_mismatch reply
+    join_request: { fields: { id: str, username: str, version: optional(int) } },
+    // playerType null = spectator
+    player_assigned: {
+        host: true,
+        fields: { targetId: str, playerType: nullable(soldierType), players: arrayOf(player), spectators: arrayOf(spectator) }
+    },
+    party_full: { host: true, fields: { targetId: str } },
+    version_mismatch: { host: true, fields: { targetId: str, hostVersion: int } },
+    full_state: {
+        host: true,
+        fields: {
+            targetId: str,
+            phase: gameState,
+            placementTimer: num,
+            armies: recordOf(soldierType, fullStateArmy),
+            powerUps: arrayOf(shape({ id: str, type: powerUpType, x: num, z: num })),
+            seed: int
+        }
+    },
+    // isPublic lets whoever takes over as host keep the room listed
+    // phase / winner let clients catch up on a lost game_start, battle_start or game_over
+    heartbeat: {
+        host: true,
+        fields: { phase: gameState, winner: optional(soldierType), placementTimer: optional(num), isPublic: optional(bool) }
+    },
+    resync_request: { fields: {} },
+    // Sent by whoever won the election, so it can't be pinned to the old host
+    host_migrated: { fields: { players: arrayOf(player), spectators: arrayOf(spectator) } },
+
+    // seed: the match seed every gameplay random stream derives from
+    game_start: { host: true, fields: { players: arrayOf(player), spectators: arrayOf(spectator), seed: int } },
+    player_ready: { fields: { playerType: soldierType, positions: optional(arrayOf(position)) } },
+    placement_update: { fields: { playerType: soldierType, positions: arrayOf(position) } },
+    placement_sync: { host: true, fields: { layout } },
+    battle_start: { host: true, fields: { layout } },
+    rematch_request: { fields: {} },
+    take_slot: { fields: {} },
+    roster_update: { host: true, fields: { players: arrayOf(player), spectators: arrayOf(spectator) } },
+    chat: {
+        fields: {
+            username: str,
+            playerType: nullable(soldierType),
+            text: optional(chatText),
+            preset: optional(chatPreset)
+        }
+    },
+
+    player_input: { fields: { playerType: soldierType, seq: int, x: num, z: num, ack: optional(int) } },
+    snapshot_ack: { fields: { seq: int } },
+    ping: { host: true, fields: { t: num, rtts: recordOf(str, num) } },
+    pong: { fields: { t: num, targetId: str } },
+    game_state: {
+        host: true,
+        fields: {
+            seq: int,
+            t: num,
+            key: bool,
+            base: nullable(int),
+            armies: recordOf(soldierType, snapshotArmy),
+            inputs: optional(recordOf(soldierType, int))
+        }
+    },
+
+    conversion: { host: true, fields: { soldierId: str, fromType: soldierType, toType: soldierType } },
+    entity_spawn: {
+        host: true,
+        fields: { army: soldierType, soldiers: arrayOf(shape({ id: str, x: num, z: num, isLeader: bool })) }
+    },
+    leader_promoted: { host: true, fields: { army: soldierType, soldierId: str } },
+
+    powerup_spawn: { host: true, fields: { id: str, powerType: powerUpType, x: num, z: num } },
+    powerup_collect: { host: true, fields: { id: str, army: soldierType } },
+    effect_start: {
+        host: true,
+        fields: {
+            army: soldierType,
+            effect: powerUpType,
+            duration: num,
+            params: shape({ multiplier: optional(num), x: optional(num), z: optional(num) })
+        }
+    },
+    effect_end: { host: true, fields: { army: soldierType, effect: powerUpType } },
+
+    game_over: { host: true, fields: { winner: soldierType } },
+    player_left: { fields: {} }
+};
+
+// Host-only messages a peer may receive before it knows who the host is
+const PRE_ASSIGNMENT = new Set(['player_assigned', 'party_full', 'version_mismatch']);
+
+/**
+ * Returns null for a valid message, otherwise a short reason for the log.
+ */
+export function validateMessage(data) {
+    if (!isObject(data)) return 'not an object';
+
+    const schema = MESSAGE_SCHEMAS[data.type];
+    if (!schema) return `unknown type "${data.type}"`;
+    if (!str(data.fromId)) return 'missing fromId';
+
+    for (const key of Object.keys(data)) {
+        if (key !== 'type' && key !== 'fromId' && !(key in schema.fields)) {
+            return `unknown field "${key}"`;
+        }
+    }
+
+    for (const [key, check] of Object.entries(schema.fields)) {
+        if (!check(data[key])) return `bad field "${key}"`;
+    }
+
+    return null;
+}
+
+/**
+ * Host-only messages must come from the host we know about.
+ */
+export function isAuthorized(data, hostId) {
+    const schema = MESSAGE_SCHEMAS[data.type];
+    if (!schema.host) return true;
+    if (hostId === null) return PRE_ASSIGNMENT.has(data.type);
+    return data.fromId === hostId;
+}
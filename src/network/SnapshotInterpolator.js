@@ -0,0 +1,126 @@
+// SnapshotInterpolator - Renders remote soldiers a little in the past
+//
+// Snapshots are buffered by host timestamp. Each frame we pick a render time
+// `delay` ms behind the estimated host clock and interpolate between the two
+// snapshots around it. If the buffer runs dry we extrapolate for a short,
+// capped time. The delay follows the measured arrival jitter.
+import { GAME_CONFIG } from '../utils/constants.js';
+import { dequantize } from './Snapshots.js';
+
+const BUFFER_DURATION = 1000; // ms of snapshots kept
+
+export class SnapshotInterpolator {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = []; // [{ t, state }] sorted by host time
+        this.clockOffset = null; // host clock - local clock (ms)
+        this.lastTransit = null;
+        this.jitter = 0;
+        this.delay = GAME_CONFIG.INTERP_MIN_DELAY;
+    }
+
+    push(hostTime, state, now = Date.now()) {
+        if (!Number.isFinite(hostTime)) return;
+
+        this.updateClock(hostTime, now);
+
+        // Keep the buffer ordered even if the relay reorders messages
+        let i = this.buffer.length;
+        while (i > 0 && this.buffer[i - 1].t > hostTime) i--;
+        if (i > 0 && this.buffer[i - 1].t === hostTime) return;
+        this.buffer.splice(i, 0, { t: hostTime, state });
+
+        const oldest = this.buffer[this.buffer.length - 1].t - BUFFER_DURATION;
+        while (this.buffer.length > 2 && this.buffer[0].t < oldest) this.buffer.shift();
+    }
+
+    updateClock(hostTime, now) {
+        // Offset follows the fastest deliveries: jump up at once, drift down slowly
+        const sample = hostTime - now;
+        if (this.clockOffset === null || sample > this.clockOffset) {
+            this.clockOffset = sample;
+        } else {
+            this.clockOffset += (sample - this.clockOffset) * 0.05;
+        }
+
+        // RFC 3550-style jitter on transit time
+        const transit = now - hostTime;
+        if (this.lastTransit !== null) {
+            const d = Math.abs(transit - this.lastTransit);
+            this.jitter += (d - this.jitter) / 16;
+        }
+        this.lastTransit = transit;
+
+        const target = Math.max(
+            GAME_CONFIG.INTERP_MIN_DELAY,
+            Math.min(GAME_CONFIG.INTERP_MAX_DELAY, 2 * (1000 / GAME_CONFIG.SYNC_RATE) + this.jitter * 3)
+        );
+        this.delay += (target - this.delay) * 0.1;
+    }
+
+    getRenderTime(now = Date.now()) {
+        return now + (this.clockOffset || 0) - this.delay;
+    }
+
+    /**
+     * Positions at the current render time: { [armyType]: { [id]: { x, z } } }
+     */
+    sample(now = Date.now()) {
+        if (this.buffer.length === 0) return null;
+
+        const renderTime = this.getRenderTime(now);
+        const first = this.buffer[0];
+        const last = this.buffer[this.buffer.length - 1];
+
+        if (renderTime <= first.t) {
+            return this.blend(first, first, 0);
+        }
+
+        if (renderTime >= last.t) {
+            if (this.buffer.length < 2) return this.blend(last, last, 0);
+            const prev = this.buffer[this.buffer.length - 2];
+            const ahead = Math.min(renderTime - last.t, GAME_CONFIG.INTERP_MAX_EXTRAPOLATION);
+            return this.blend(prev, last, 1 + ahead / (last.t - prev.t));
+        }
+
+        for (let i = this.buffer.length - 1; i > 0; i--) {
+            const a = this.buffer[i - 1];
+            const b = this.buffer[i];
+            if (renderTime >= a.t) {
+                return this.blend(a, b, (renderTime - a.t) / (b.t - a.t));
+            }
+        }
+        return this.blend(first, first, 0);
+    }
+
+    // alpha 0..1 interpolates, > 1 extrapolates along a -> b
+    blend(a, b, alpha) {
+        const result = {};
+        Object.entries(b.state).forEach(([type, armyB]) => {
+            const armyA = a.state[type];
+            const positions = {};
+
+            Object.entries(armyB.soldiers).forEach(([id, eb]) => {
+                const ea = armyA && armyA.soldiers[id];
+                const xb = dequantize(eb[0]);
+                const zb = dequantize(eb[1]);
+                if (!ea) {
+                    positions[id] = { x: xb, z: zb };
+                    return;
+                }
+                const xa = dequantize(ea[0]);
+                const za = dequantize(ea[1]);
+                positions[id] = {
+                    x: xa + (xb - xa) * alpha,
+                    z: za + (zb - za) * alpha
+                };
+            });
+
+            result[type] = positions;
+        });
+        return result;
+    }
+}
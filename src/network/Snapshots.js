@@ -0,0 +1,216 @@
+// Snapshots - Sequenced keyframe/delta encoding for game_state messages
+//
+// The host captures a quantized world state every sync tick. Keyframes carry
+// everything; deltas only carry what changed since a baseline every client
+// has acknowledged. Because the relay is a broadcast, the baseline is the
+// oldest snapshot still un-acked by any client.
+import { GAME_CONFIG } from '../utils/constants.js';
+
+const quantize = (value) => Math.round(value * GAME_CONFIG.POSITION_PRECISION);
+export const dequantize = (value) => value / GAME_CONFIG.POSITION_PRECISION;
+
+// World state: { [armyType]: { inv, rev, spd, soldiers: { [id]: [qx, qz, leader] } } }
+export function captureState(armies) {
+    const state = {};
+    armies.forEach((army, type) => {
+        const soldiers = {};
+        army.soldiers.forEach(s => {
+            soldiers[s.id] = [
+                quantize(s.x),
+                quantize(s.z),
+                s.isLeader ? 1 : 0
+            ];
+        });
+        state[type] = {
+            inv: army.isInvincible ? 1 : 0,
+            rev: army.isReversed ? 1 : 0,
+            spd: army.speedMultiplier,
+            soldiers
+        };
+    });
+    return state;
+}
+
+function pruneHistory(history, latestSeq) {
+    for (const seq of history.keys()) {
+        if (seq <= latestSeq - GAME_CONFIG.SNAPSHOT_HISTORY) history.delete(seq);
+    }
+}
+
+function sameEntity(a, b) {
+    return a && b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+// Host side: numbers snapshots, remembers what was sent and tracks acks
+export class SnapshotSender {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.seq = 0;
+        this.history = new Map(); // seq -> state
+        this.acks = new Map(); // peer id -> last acked seq
+        this.lastKeyframeSeq = -Infinity;
+        this.lastSendTime = -Infinity;
+    }
+
+    ack(peerId, seq) {
+        if (!Number.isInteger(seq) || !this.history.has(seq)) return;
+        const prev = this.acks.get(peerId);
+        if (prev === undefined || seq > prev) {
+            this.acks.set(peerId, seq);
+        }
+    }
+
+    forgetPeer(peerId) {
+        this.acks.delete(peerId);
+    }
+
+    // Oldest snapshot every listed peer has confirmed, or null if any is missing
+    getBaseline(peerIds) {
+        if (peerIds.length === 0) return null;
+
+        let baseline = Infinity;
+        for (const id of peerIds) {
+            const seq = this.acks.get(id);
+            if (seq === undefined || !this.history.has(seq)) return null;
+            baseline = Math.min(baseline, seq);
+        }
+        return baseline;
+    }
+
+    /**
+     * Build the next game_state message, or null when nothing changed and an
+     * idle snapshot was sent recently. Every message is stamped with host time.
+     */
+    build(state, peerIds, now = Date.now()) {
+        const nextSeq = this.seq + 1;
+        const baseSeq = this.getBaseline(peerIds);
+        const keyframeDue = nextSeq - this.lastKeyframeSeq >= GAME_CONFIG.SNAPSHOT_KEYFRAME_INTERVAL;
+
+        let message;
+        if (baseSeq === null || keyframeDue) {
+            message = this.buildKeyframe(state);
+            this.lastKeyframeSeq = nextSeq;
+        } else {
+            message = this.buildDelta(state, this.history.get(baseSeq), baseSeq);
+            if (!message) {
+                if (now - this.lastSendTime < GAME_CONFIG.SNAPSHOT_IDLE_INTERVAL) return null;
+                message = { type: 'game_state', key: false, base: baseSeq, armies: {} };
+            }
+        }
+
+        this.seq = nextSeq;
+        this.lastSendTime = now;
+        message.seq = nextSeq;
+        message.t = now;
+        this.history.set(nextSeq, state);
+        pruneHistory(this.history, nextSeq);
+
+        return message;
+    }
+
+    buildKeyframe(state) {
+        const armies = {};
+        Object.entries(state).forEach(([type, army]) => {
+            armies[type] = {
+                inv: army.inv,
+                rev: army.rev,
+                spd: army.spd,
+                s: Object.entries(army.soldiers).map(([id, e]) => [id, ...e])
+            };
+        });
+        return { type: 'game_state', key: true, base: null, armies };
+    }
+
+    buildDelta(state, baseline, baseSeq) {
+        const armies = {};
+        let changed = false;
+
+        Object.entries(state).forEach(([type, army]) => {
+            const baseArmy = baseline[type] || { soldiers: {} };
+            const delta = {};
+
+            const moved = Object.entries(army.soldiers)
+                .filter(([id, e]) => !sameEntity(e, baseArmy.soldiers[id]))
+                .map(([id, e]) => [id, ...e]);
+            const removed = Object.keys(baseArmy.soldiers)
+                .filter(id => !(id in army.soldiers));
+
+            if (moved.length > 0) delta.s = moved;
+            if (removed.length > 0) delta.rm = removed;
+            if (army.inv !== baseArmy.inv) delta.inv = army.inv;
+            if (army.rev !== baseArmy.rev) delta.rev = army.rev;
+            if (army.spd !== baseArmy.spd) delta.spd = army.spd;
+
+            if (Object.keys(delta).length > 0) {
+                armies[type] = delta;
+                changed = true;
+            }
+        });
+
+        if (!changed) return null;
+        return { type: 'game_state', key: false, base: baseSeq, armies };
+    }
+}
+
+// Client side: rebuilds full states from keyframes + deltas
+export class SnapshotReceiver {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.history = new Map(); // seq -> state
+        this.lastSeq = 0;
+    }
+
+    getLatest() {
+        return this.history.get(this.lastSeq) || null;
+    }
+
+    /**
+     * Returns the reconstructed state, or null if the message is stale or its
+     * baseline is unknown (the host will fall back to a keyframe).
+     */
+    receive(message) {
+        if (!Number.isInteger(message.seq) || message.seq <= this.lastSeq) return null;
+
+        let state;
+        if (message.key) {
+            state = {};
+        } else {
+            const baseline = this.history.get(message.base);
+            if (!baseline) return null;
+            state = cloneState(baseline);
+        }
+
+        Object.entries(message.armies || {}).forEach(([type, delta]) => {
+            const army = state[type] || (state[type] = { inv: 0, rev: 0, spd: 1, soldiers: {} });
+            if (delta.inv !== undefined) army.inv = delta.inv;
+            if (delta.rev !== undefined) army.rev = delta.rev;
+            if (delta.spd !== undefined) army.spd = delta.spd;
+            (delta.rm || []).forEach(id => delete army.soldiers[id]);
+            (delta.s || []).forEach(([id, qx, qz, leader]) => {
+                army.soldiers[id] = [qx, qz, leader];
+            });
+        });
+
+        this.lastSeq = message.seq;
+        this.history.set(message.seq, state);
+        pruneHistory(this.history, message.seq);
+
+        return state;
+    }
+}
+
+function cloneState(state) {
+    const copy = {};
+    Object.entries(state).forEach(([type, army]) => {
+        const soldiers = {};
+        Object.entries(army.soldiers).forEach(([id, e]) => { soldiers[id] = e.slice(); });
+        copy[type] = { inv: army.inv, rev: army.rev, spd: army.spd, soldiers };
+    });
+    return copy;
+}
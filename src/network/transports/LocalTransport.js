@@ -0,0 +1,89 @@
+// LocalTransport - No-network transport for tabs and tests on one machine
+//
+// Uses BroadcastChannel when the runtime has it (every tab of the same origin
+// shares the room), otherwise an in-memory hub so several NetworkManagers in
+// one process can play a whole match together.
+import { Transport } from './Transport.js';
+
+const memoryRooms = new Map(); // roomId -> Set<LocalTransport>
+
+export class LocalTransport extends Transport {
+    constructor({ inMemory = typeof BroadcastChannel === 'undefined' } = {}) {
+        super();
+        this.inMemory = inMemory;
+        this.channel = null;
+    }
+
+    join(roomId, selfId) {
+        if (this.roomId) this.leave();
+
+        this.roomId = roomId;
+        this.selfId = selfId;
+
+        if (this.inMemory) {
+            if (!memoryRooms.has(roomId)) memoryRooms.set(roomId, new Set());
+            memoryRooms.get(roomId).add(this);
+        } else {
+            this.channel = new BroadcastChannel(`rps_party_${roomId}`);
+            this.channel.onmessage = (e) => this.receive(e.data);
+        }
+
+        console.log(`--- 🧪 Joined Local Relay: ${roomId} ---`);
+        this.post({ presence: 'join', id: selfId });
+    }
+
+    send(data) {
+        if (!this.roomId) return;
+        this.post({ payload: data });
+    }
+
+    leave() {
+        if (!this.roomId) return;
+
+        this.post({ presence: 'leave', id: this.selfId });
+
+        if (this.inMemory) {
+            const room = memoryRooms.get(this.roomId);
+            if (room) {
+                room.delete(this);
+                if (room.size === 0) memoryRooms.delete(this.roomId);
+            }
+        } else if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+
+        super.leave();
+    }
+
+    post(envelope) {
+        if (this.inMemory) {
+            const room = memoryRooms.get(this.roomId);
+            if (!room) return;
+
+            // Deliver async like a real network, and copy like structured clone
+            const copy = JSON.parse(JSON.stringify(envelope));
+            room.forEach(peer => {
+                if (peer !== this) queueMicrotask(() => peer.receive(copy));
+            });
+        } else if (this.channel) {
+            this.channel.postMessage(envelope);
+        }
+    }
+
+    receive(envelope) {
+        if (!this.roomId) return;
+
+        if (envelope.presence === 'join') {
+            this.emitPresence('join', envelope.id);
+            // Let the newcomer know we are already here
+            this.post({ presence: 'here', id: this.selfId });
+        } else if (envelope.presence === 'here') {
+            this.emitPresence('join', envelope.id);
+        } else if (envelope.presence === 'leave') {
+            this.emitPresence('leave', envelope.id);
+        } else if (envelope.payload) {
+            this.emitMessage(envelope.payload);
+        }
+    }
+}
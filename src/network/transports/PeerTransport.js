@@ -0,0 +1,123 @@
+// PeerTransport - Direct WebRTC data channels through PeerJS
+//
+// Star topology: the host registers a well-known peer id derived from the
+// room code, clients connect to it, and the host relays every message to the
+// other clients so the interface still looks like a broadcast room.
+//
+// Every link ends at the host's peer id, so the room dies with the host: host
+// migration is off on this transport and a lost host ends the party.
+import { Transport } from './Transport.js';
+
+const PEER_ID_PREFIX = 'rps-arena-';
+
+export class PeerTransport extends Transport {
+    constructor() {
+        super();
+        this.peer = null;
+        this.isHost = false;
+        this.connections = new Map(); // peerId -> DataConnection
+        this.peerIds = new Map(); // peerId -> identity id
+        this.queue = [];
+        this.supportsMigration = false;
+        this.joinCount = 0; // bumped by join / leave, so a stale join stops after its await
+    }
+
+    async join(roomId, selfId, { isHost = false } = {}) {
+        if (this.roomId) this.leave();
+
+        this.roomId = roomId;
+        this.selfId = selfId;
+        this.isHost = isHost;
+        const joinId = ++this.joinCount;
+
+        // Loaded lazily so the other transports don't pay for WebRTC
+        const { Peer } = await import('peerjs');
+        if (joinId !== this.joinCount) return; // left (or joined elsewhere) meanwhile
+        const hostPeerId = `${PEER_ID_PREFIX}${roomId}`;
+
+        this.peer = isHost ? new Peer(hostPeerId) : new Peer();
+
+        this.peer.on('open', () => {
+            console.log(`--- 📡 PeerJS ready (${isHost ? 'host' : 'client'}) ---`);
+            if (!isHost) {
+                this.addConnection(this.peer.connect(hostPeerId, {
+                    reliable: true,
+                    metadata: { id: selfId }
+                }));
+            }
+        });
+
+        if (isHost) {
+            this.peer.on('connection', (conn) => this.addConnection(conn));
+        }
+
+        this.peer.on('error', (err) => {
+            console.error(' ❌ PeerJS error:', err.type || err);
+        });
+    }
+
+    addConnection(conn) {
+        conn.on('open', () => {
+            this.connections.set(conn.peer, conn);
+
+            if (this.isHost) {
+                const remoteId = conn.metadata?.id;
+                this.peerIds.set(conn.peer, remoteId);
+                this.emitPresence('join', remoteId);
+
+                // Tell the client who is on the other end of the link
+                conn.send({ hostPresence: this.selfId });
+            }
+
+            // Client: flush anything sent before the link to the host was up
+            this.queue.forEach(data => conn.send(data));
+            this.queue = [];
+        });
+
+        conn.on('data', (data) => {
+            if (!this.isHost && data.hostPresence) {
+                this.peerIds.set(conn.peer, data.hostPresence);
+                this.emitPresence('join', data.hostPresence);
+                return;
+            }
+
+            if (this.isHost) {
+                // Relay to every other client, then handle locally
+                this.connections.forEach((other, peerId) => {
+                    if (peerId !== conn.peer) other.send(data);
+                });
+            }
+            this.emitMessage(data);
+        });
+
+        conn.on('close', () => {
+            this.connections.delete(conn.peer);
+            const remoteId = this.peerIds.get(conn.peer);
+            this.peerIds.delete(conn.peer);
+            if (remoteId) this.emitPresence('leave', remoteId);
+        });
+    }
+
+    send(data) {
+        if (this.connections.size === 0) {
+            if (!this.isHost) this.queue.push(data);
+            return;
+        }
+        this.connections.forEach(conn => conn.send(data));
+    }
+
+    leave() {
+        this.joinCount++;
+        this.connections.forEach(conn => conn.close());
+        this.connections.clear();
+        this.peerIds.clear();
+        this.queue = [];
+
+        if (this.peer) {
+            this.peer.destroy();
+            this.peer = null;
+        }
+
+        super.leave();
+    }
+}
@@ -0,0 +1,149 @@
+// SimulatedTransport - Wraps another transport with bad-network conditions
+//
+// Adds latency, jitter, loss, duplication and reordering to what we send and,
+// per remote peer, to what we receive. Messages within a lane keep their order
+// unless a reorder roll lets one fall behind. With no conditions set,
+// everything passes straight through.
+import { Transport } from './Transport.js';
+
+export const NO_CONDITIONS = {
+    latency: 0, // ms, one way
+    jitter: 0, // ms, +/- on top of latency
+    loss: 0, // 0..1
+    duplicate: 0, // 0..1
+    reorder: 0 // 0..1
+};
+
+export const ALL_PEERS = '*';
+export const OUTBOUND = 'out';
+
+// `?lag=150&jitter=40&loss=0.05&dup=0.01&reorder=0.1` applies both ways
+export function getConditionsFromUrl() {
+    if (typeof window === 'undefined') return null;
+    const params = new URLSearchParams(window.location.search);
+    const read = (key) => Number(params.get(key)) || 0;
+
+    const conditions = {
+        latency: read('lag'),
+        jitter: read('jitter'),
+        loss: read('loss'),
+        duplicate: read('dup'),
+        reorder: read('reorder')
+    };
+    return isActive(conditions) ? conditions : null;
+}
+
+function isActive(c) {
+    return c.latency > 0 || c.jitter > 0 || c.loss > 0 || c.duplicate > 0 || c.reorder > 0;
+}
+
+function sanitize(conditions) {
+    const clamp01 = v => Math.min(1, Math.max(0, Number(v) || 0));
+    return {
+        latency: Math.max(0, Number(conditions.latency) || 0),
+        jitter: Math.max(0, Number(conditions.jitter) || 0),
+        loss: clamp01(conditions.loss),
+        duplicate: clamp01(conditions.duplicate),
+        reorder: clamp01(conditions.reorder)
+    };
+}
+
+export class SimulatedTransport extends Transport {
+    constructor(inner, conditions = null) {
+        super();
+        this.inner = inner;
+        this.conditions = new Map(); // OUTBOUND | ALL_PEERS | peer id -> conditions
+        this.lastDelivery = new Map(); // lane -> local time of its last delivery
+        this.timers = new Set();
+        this.supportsMigration = inner.supportsMigration;
+
+        if (conditions) {
+            this.setConditions(OUTBOUND, conditions);
+            this.setConditions(ALL_PEERS, conditions);
+        }
+
+        inner.onMessage((data) => this.receive(data));
+        inner.onPresence((e) => this.presenceListeners.forEach(cb => cb(e)));
+    }
+
+    join(roomId, selfId, options = {}) {
+        this.roomId = roomId;
+        this.selfId = selfId;
+        return this.inner.join(roomId, selfId, options);
+    }
+
+    send(data) {
+        this.schedule(OUTBOUND, this.getConditions(OUTBOUND), data, (d) => this.inner.send(d));
+    }
+
+    leave() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.lastDelivery.clear();
+        this.inner.leave();
+        super.leave();
+    }
+
+    receive(data) {
+        const peerId = data?.fromId;
+        this.schedule(`in:${peerId}`, this.getConditions(peerId), data, (d) => this.emitMessage(d));
+    }
+
+    /**
+     * `target` is OUTBOUND, ALL_PEERS (incoming default) or a peer id.
+     * Pass null to clear it.
+     */
+    setConditions(target, conditions) {
+        if (!conditions) {
+            this.conditions.delete(target);
+        } else {
+            this.conditions.set(target, sanitize({ ...NO_CONDITIONS, ...conditions }));
+        }
+        console.log(`🐢 Network conditions for ${target}:`, this.conditions.get(target) || 'none');
+    }
+
+    getConditions(target) {
+        return this.conditions.get(target)
+            || (target !== OUTBOUND && this.conditions.get(ALL_PEERS))
+            || NO_CONDITIONS;
+    }
+
+    isActive() {
+        return Array.from(this.conditions.values()).some(isActive);
+    }
+
+    schedule(lane, c, data, deliver) {
+        if (!isActive(c)) {
+            deliver(data);
+            return;
+        }
+
+        if (Math.random() < c.loss) return;
+
+        const now = Date.now();
+        let at = now + c.latency + (Math.random() * 2 - 1) * c.jitter;
+
+        if (Math.random() < c.reorder) {
+            // Held back past a few later messages
+            at += c.jitter + 30 + Math.random() * 50;
+        } else {
+            // FIFO within the lane, like the real relay
+            at = Math.max(at, this.lastDelivery.get(lane) || 0);
+            this.lastDelivery.set(lane, at);
+        }
+
+        this.deliverAt(at - now, data, deliver);
+
+        if (Math.random() < c.duplicate) {
+            this.deliverAt(at - now + Math.random() * 20, structuredClone(data), deliver);
+        }
+    }
+
+    deliverAt(delay, data, deliver) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            deliver(data);
+        }, Math.max(0, delay));
+        this.timers.add(timer);
+    }
+}
@@ -0,0 +1,24 @@
+// SupabaseTransport - Cloud relay through a Supabase Realtime channel
+import { Transport } from './Transport.js';
+import { RealtimeService } from '../../services/SupabaseClient.js';
+
+export class SupabaseTransport extends Transport {
+    join(roomId, selfId) {
+        this.roomId = roomId;
+        this.selfId = selfId;
+
+        RealtimeService.joinChannel(roomId, (data) => this.emitMessage(data), {
+            presenceKey: selfId,
+            onPresence: (event, id) => this.emitPresence(event, id)
+        });
+    }
+
+    send(data) {
+        RealtimeService.broadcast(data);
+    }
+
+    leave() {
+        RealtimeService.leave();
+        super.leave();
+    }
+}
@@ -0,0 +1,61 @@
+// Transport - Base class for everything that can carry party messages
+//
+// A transport joins one room, sends JSON-safe messages to every other peer in
+// that room and reports who is present. NetworkManager only talks to this
+// interface, so the relay behind it can be swapped without touching game code.
+export class Transport {
+    constructor() {
+        this.roomId = null;
+        this.selfId = null;
+        this.messageListeners = [];
+        this.presenceListeners = [];
+
+        // Whether the room outlives the host, so another peer can take over
+        this.supportsMigration = true;
+    }
+
+    /**
+     * Join a room. `options.isHost` is a hint for star-shaped transports.
+     */
+    join(roomId, selfId, options = {}) {
+        throw new Error(`${this.constructor.name}.join() not implemented`);
+    }
+
+    /**
+     * Send a message to every other peer in the room.
+     */
+    send(data) {
+        throw new Error(`${this.constructor.name}.send() not implemented`);
+    }
+
+    leave() {
+        this.roomId = null;
+        this.selfId = null;
+    }
+
+    onMessage(callback) {
+        this.messageListeners.push(callback);
+        return () => {
+            this.messageListeners = this.messageListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Presence events are `{ event: 'join' | 'leave', id }`.
+     */
+    onPresence(callback) {
+        this.presenceListeners.push(callback);
+        return () => {
+            this.presenceListeners = this.presenceListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    emitMessage(data) {
+        this.messageListeners.forEach(cb => cb(data));
+    }
+
+    emitPresence(event, id) {
+        if (!id || id === this.selfId) return;
+        this.presenceListeners.forEach(cb => cb({ event, id }));
+    }
+}
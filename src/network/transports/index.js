@@ -0,0 +1,33 @@
+// Transport registry - pick how party messages travel
+import { SupabaseTransport } from './SupabaseTransport.js';
+import { PeerTransport } from './PeerTransport.js';
+import { LocalTransport } from './LocalTransport.js';
+
+export { Transport } from './Transport.js';
+export { SimulatedTransport, getConditionsFromUrl, ALL_PEERS, OUTBOUND } from './SimulatedTransport.js';
+export { SupabaseTransport, PeerTransport, LocalTransport };
+
+export const TRANSPORT_TYPES = {
+    SUPABASE: 'supabase',
+    PEER: 'peer',
+    LOCAL: 'local'
+};
+
+export function createTransport(kind = TRANSPORT_TYPES.SUPABASE) {
+    switch (kind) {
+        case TRANSPORT_TYPES.PEER:
+            return new PeerTransport();
+        case TRANSPORT_TYPES.LOCAL:
+            return new LocalTransport();
+        case TRANSPORT_TYPES.SUPABASE:
+        default:
+            return new SupabaseTransport();
+    }
+}
+
+// `?transport=local` etc. lets a developer pick the relay from the URL
+export function getTransportFromUrl() {
+    if (typeof window === 'undefined') return TRANSPORT_TYPES.SUPABASE;
+    const kind = new URLSearchParams(window.location.search).get('transport');
+    return Object.values(TRANSPORT_TYPES).includes(kind) ? kind : TRANSPORT_TYPES.SUPABASE;
+}
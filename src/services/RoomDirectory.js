@@ -0,0 +1,291 @@
+// RoomDirectory - Which parties exist, who hosts them and what they are doing
+//
+// Every party gets a row when it is created: the code is reserved there, so
+// two hosts can't end up with the same one. The host keeps the row current
+// (roster, game state) and refreshes it every ROOM_REFRESH_INTERVAL; a row
+// not refreshed within ROOM_TTL belongs to an abandoned room. Joiners look
+// the code up first, so a dead or full party fails right away instead of
+// waiting for a host that never answers. Public rooms are simply rows with
+// is_public set, which is what the room browser and quick match read.
+//
+// Rows live in the Supabase `rooms` table next to `users` and `invites`:
+//
+//   id text primary key,        -- party code
+//   host_id text, host_name text,
+//   players int, max_players int, spectators int,
+//   map text, state text,       -- a GAME_STATES value or 'closed'
+//   is_public bool,
+//   created_at timestamptz default now(),
+//   updated_at timestamptz
+//
+// `?rooms=local` (or `?transport=local`) swaps in a stand-in that keeps the
+// rows in localStorage, so every tab on this machine sees the same rooms.
+import { supabase } from './SupabaseClient.js';
+import { GAME_CONFIG, GAME_STATES } from '../utils/constants.js';
+
+export const ROOM_BACKENDS = {
+    SUPABASE: 'supabase',
+    LOCAL: 'local'
+};
+
+export const ROOM_CLOSED = 'closed';
+
+export const JOIN_FAILURES = {
+    NOT_FOUND: 'not_found',
+    FULL: 'full',
+    IN_PROGRESS: 'in_progress',
+    CLOSED: 'closed',
+    NO_RESPONSE: 'no_response'
+};
+
+const CODE_LENGTH = 6;
+const MAX_CODE_ATTEMPTS = 5;
+const UNIQUE_VIOLATION = '23505';
+
+export function generateRoomCode() {
+    let code = '';
+    while (code.length < CODE_LENGTH) {
+        code += Math.random().toString(36).substring(2).toUpperCase();
+    }
+    return code.substring(0, CODE_LENGTH);
+}
+
+export class SupabaseRoomBackend {
+    // Resolves false when the code is already taken
+    async insert(row) {
+        const { error } = await supabase.from('rooms').insert(row);
+        if (error?.code === UNIQUE_VIOLATION) return false;
+        if (error) throw new Error(error.message);
+        return true;
+    }
+
+    async update(row) {
+        const { error } = await supabase.from('rooms').upsert(row);
+        if (error) throw new Error(error.message);
+    }
+
+    async get(roomId) {
+        const { data, error } = await supabase.from('rooms').select('*').eq('id', roomId).maybeSingle();
+        if (error) throw new Error(error.message);
+        return data;
+    }
+
+    async listPublic(since) {
+        const { data, error } = await supabase
+            .from('rooms')
+            .select('*')
+            .eq('is_public', true)
+            .neq('state', ROOM_CLOSED)
+            .gte('updated_at', new Date(since).toISOString())
+            .order('updated_at', { ascending: false })
+            .limit(50);
+        if (error) throw new Error(error.message);
+        return data || [];
+    }
+
+    async purge(before) {
+        const { error } = await supabase.from('rooms').delete().lt('updated_at', new Date(before).toISOString());
+        if (error) throw new Error(error.message);
+    }
+}
+
+const LOCAL_KEY = 'rps_rooms';
+
+export class LocalRoomBackend {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.memory = {}; // used when there is no storage (node, private mode)
+    }
+
+    read() {
+        if (!this.storage) return this.memory;
+        try {
+            return JSON.parse(this.storage.getItem(LOCAL_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    write(rows) {
+        if (!this.storage) {
+            this.memory = rows;
+            return;
+        }
+        try {
+            this.storage.setItem(LOCAL_KEY, JSON.stringify(rows));
+        } catch (e) {
+            console.warn('LocalStorage error:', e);
+        }
+    }
+
+    async insert(row) {
+        const rows = this.read();
+        if (rows[row.id]) return false;
+        rows[row.id] = row;
+        this.write(rows);
+        return true;
+    }
+
+    async update(row) {
+        const rows = this.read();
+        rows[row.id] = { ...rows[row.id], ...row };
+        this.write(rows);
+    }
+
+    async get(roomId) {
+        return this.read()[roomId] || null;
+    }
+
+    async listPublic(since) {
+        return Object.values(this.read())
+            .filter(row => row.is_public && row.state !== ROOM_CLOSED && Date.parse(row.updated_at) >= since)
+            .sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at));
+    }
+
+    async purge(before) {
+        const rows = this.read();
+        this.write(Object.fromEntries(Object.entries(rows).filter(([, row]) => Date.parse(row.updated_at) >= before)));
+    }
+}
+
+export function createRoomBackend(kind = ROOM_BACKENDS.SUPABASE) {
+    // No cloud configured: keep rooms local instead of having none
+    if (kind === ROOM_BACKENDS.LOCAL || !supabase) return new LocalRoomBackend();
+    return new SupabaseRoomBackend();
+}
+
+export function getRoomBackendFromUrl() {
+    if (typeof window === 'undefined') return ROOM_BACKENDS.LOCAL;
+    const params = new URLSearchParams(window.location.search);
+    const kind = params.get('rooms') || (params.get('transport') === 'local' ? ROOM_BACKENDS.LOCAL : null);
+    return Object.values(ROOM_BACKENDS).includes(kind) ? kind : ROOM_BACKENDS.SUPABASE;
+}
+
+// { id, hostId, hostName, players, maxPlayers, spectators, map, state, isPublic } -> row
+function toRow(room) {
+    return {
+        id: room.id,
+        host_id: room.hostId,
+        host_name: room.hostName,
+        players: room.players,
+        max_players: room.maxPlayers,
+        spectators: room.spectators,
+        map: room.map,
+        state: room.state,
+        is_public: room.isPublic,
+        updated_at: new Date().toISOString()
+    };
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        hostId: row.host_id,
+        hostName: row.host_name,
+        players: row.players,
+        maxPlayers: row.max_players,
+        spectators: row.spectators || 0,
+        map: row.map,
+        state: row.state,
+        isPublic: !!row.is_public,
+        createdAt: Date.parse(row.created_at),
+        updatedAt: Date.parse(row.updated_at)
+    };
+}
+
+export class RoomDirectory {
+    constructor(backend = createRoomBackend(getRoomBackendFromUrl())) {
+        this.backend = backend;
+    }
+
+    /**
+     * Host: register a new room under a code nobody else holds and return
+     * the code. If the registry can't be reached, the party still goes ahead
+     * under an unchecked code.
+     */
+    async reserve(room) {
+        try {
+            await this.backend.purge(Date.now() - GAME_CONFIG.ROOM_EXPIRY);
+
+            for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+                const id = generateRoomCode();
+                const row = toRow({ ...room, id });
+                if (await this.backend.insert({ ...row, created_at: row.updated_at })) return id;
+                console.log(`🎲 Party code ${id} is taken, rolling another`);
+            }
+            console.warn('⚠️ No free party code found, using an unchecked one');
+        } catch (e) {
+            console.warn('⚠️ Room registry unavailable, using an unchecked party code:', e);
+        }
+        return generateRoomCode();
+    }
+
+    // Host: roster or state changed, or just a keep-alive
+    update(room) {
+        return this.backend.update(toRow(room)).catch(e => console.warn('Room update failed:', e));
+    }
+
+    // Last one out: nobody is left to take over as host
+    close(room) {
+        return this.update({ ...room, state: ROOM_CLOSED });
+    }
+
+    // The room, or null if there is none; undefined if the registry is unreachable
+    async lookup(roomId) {
+        try {
+            const row = await this.backend.get(roomId);
+            return row ? fromRow(row) : null;
+        } catch (e) {
+            console.warn('Room lookup failed:', e);
+            return undefined;
+        }
+    }
+
+    /**
+     * Why joining `roomId` would fail (a JOIN_FAILURES value), or null if it
+     * looks joinable. `spectate` accepts a running match; `rejoin` is a player
+     * coming back to the slot the room still holds for them.
+     */
+    async checkJoin(roomId, { spectate = false, rejoin = false } = {}, now = Date.now()) {
+        const room = await this.lookup(roomId);
+        if (room === undefined) return null; // can't tell, let the host decide
+        if (!room) return JOIN_FAILURES.NOT_FOUND;
+        if (room.state === ROOM_CLOSED || now - room.updatedAt > GAME_CONFIG.ROOM_TTL) return JOIN_FAILURES.CLOSED;
+        if (rejoin) return null;
+
+        const hasSlot = room.players < room.maxPlayers;
+        const canWatch = room.spectators < GAME_CONFIG.MAX_SPECTATORS;
+        if (!hasSlot && !canWatch) return JOIN_FAILURES.FULL;
+
+        const inMatch = room.state === GAME_STATES.PLACEMENT || room.state === GAME_STATES.PLAYING;
+        if (inMatch && !hasSlot && !spectate) return JOIN_FAILURES.IN_PROGRESS;
+
+        return null;
+    }
+
+    // Every live public room, newest first
+    async listRooms(now = Date.now()) {
+        try {
+            const rows = await this.backend.listPublic(now - GAME_CONFIG.ROOM_TTL);
+            return rows.map(fromRow);
+        } catch (e) {
+            console.warn('Room list failed:', e);
+            return [];
+        }
+    }
+
+    /**
+     * The room quick match should join: a public lobby with a free army,
+     * fullest first so matches start sooner. Null when nothing is open.
+     */
+    async findQuickMatch(excludeId = null) {
+        const rooms = await this.listRooms();
+        const open = rooms.filter(room =>
+            room.id !== excludeId &&
+            room.state === GAME_STATES.LOBBY &&
+            room.players < room.maxPlayers
+        );
+        open.sort((a, b) => b.players - a.players);
+        return open[0] || null;
+    }
+}
@@ -32,8 +32,9 @@ export const RealtimeService = {
     /**
      * Join a cloud channel for a party. 
      * This acts as a 'Relay' between players.
+     * Pass `presenceKey` + `onPresence(event, id)` to be told who joins and leaves.
      */
-    joinChannel(partyId, onMessage) {
+    joinChannel(partyId, onMessage, { presenceKey = null, onPresence = null } = {}) {
         if (!supabase) return null;
 
         // Cleanup old channel
@@ -43,24 +44,37 @@ export const RealtimeService = {
 
         console.log(`--- 🌐 Joining Cloud Relay: ${partyId} ---`);
 
-        this.channel = supabase.channel(`party_${partyId}`, {
-            config: {
-                broadcast: { self: false, ack: false }
-            }
+        const config = {
+            broadcast: { self: false, ack: false }
+        };
+        if (presenceKey) {
+            config.presence = { key: presenceKey };
+        }
+
+        this.channel = supabase.channel(`party_${partyId}`, { config });
+
+        this.channel.on('broadcast', { event: 'game_event' }, ({ payload }) => {
+            onMessage(payload);
         });
 
-        this.channel
-            .on('broadcast', { event: 'game_event' }, ({ payload }) => {
-                onMessage(payload);
-            })
-            .subscribe((status) => {
-                if (status === 'SUBSCRIBED') {
-                    console.log(' ✅ Cloud Relay READY (Guaranteed Link)');
-                }
-                if (status === 'CHANNEL_ERROR') {
-                    console.error(' ❌ Cloud Relay Failed. Firewall might be too strict.');
+        if (presenceKey && onPresence) {
+            this.channel
+                .on('presence', { event: 'join' }, ({ key }) => onPresence('join', key))
+                .on('presence', { event: 'leave' }, ({ key }) => onPresence('leave', key));
+        }
+
+        const channel = this.channel;
+        channel.subscribe((status) => {
+            if (status === 'SUBSCRIBED') {
+                console.log(' ✅ Cloud Relay READY (Guaranteed Link)');
+                if (presenceKey) {
+                    channel.track({ online_at: new Date().toISOString() });
                 }
-            });
+            }
+            if (status === 'CHANNEL_ERROR') {
+                console.error(' ❌ Cloud Relay Failed. Firewall might be too strict.');
+            }
+        });
 
         return this.channel;
     },
@@ -0,0 +1,173 @@
+// ChatUI - Party chat: a full panel in the lobby, a compact overlay in matches
+//
+// Number keys 1-8 send quick-chat presets, Enter opens the input during a
+// match. Clicking a name mutes (or unmutes) that player on this device.
+import { GAME_CONFIG, QUICK_CHAT, TYPE_ICONS } from '../utils/constants.js';
+
+const MUTED_KEY = 'rps_muted_players';
+
+export class ChatUI {
+    constructor(app) {
+        this.app = app;
+        this.mode = 'hidden';
+        this.partyId = null;
+        this.muted = this.loadMuted();
+
+        this.elements = {
+            chat: document.getElementById('chat'),
+            log: document.getElementById('chat-log'),
+            input: document.getElementById('chat-input'),
+            btnSend: document.getElementById('btn-chat-send'),
+            presets: document.getElementById('chat-presets')
+        };
+
+        if (this.elements.input) {
+            this.elements.input.maxLength = GAME_CONFIG.CHAT_MAX_LENGTH;
+        }
+
+        this.renderPresets();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.elements.btnSend?.addEventListener('click', () => this.send());
+
+        this.elements.input?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.send();
+                if (this.mode === 'overlay') this.closeInput();
+            } else if (e.key === 'Escape') {
+                this.closeInput();
+            }
+        });
+
+        window.addEventListener('keydown', (e) => {
+            if (this.mode === 'hidden' || e.target.tagName === 'INPUT') return;
+
+            // Quick chat: 1-8
+            const preset = Number(e.key) - 1;
+            if (Number.isInteger(preset) && preset >= 0 && preset < QUICK_CHAT.length) {
+                this.app.network.sendQuickChat(preset);
+                return;
+            }
+
+            if (e.key === 'Enter' && this.mode === 'overlay') {
+                e.preventDefault();
+                this.openInput();
+            }
+        });
+    }
+
+    renderPresets() {
+        if (!this.elements.presets) return;
+        QUICK_CHAT.forEach((text, index) => {
+            const button = document.createElement('button');
+            button.className = 'chat-preset';
+            button.textContent = `${index + 1} ${text}`;
+            button.addEventListener('click', () => this.app.network.sendQuickChat(index));
+            this.elements.presets.appendChild(button);
+        });
+    }
+
+    // 'panel' in the lobby / game over, 'overlay' in matches, 'hidden' outside parties
+    setMode(mode) {
+        const partyId = this.app.network?.partyId || null;
+        if (!partyId) mode = 'hidden';
+
+        // New party, fresh log
+        if (partyId !== this.partyId) {
+            this.partyId = partyId;
+            if (this.elements.log) this.elements.log.innerHTML = '';
+        }
+
+        this.mode = mode;
+        const chat = this.elements.chat;
+        if (!chat) return;
+        chat.classList.toggle('hidden', mode === 'hidden');
+        chat.classList.toggle('compact', mode === 'overlay');
+        chat.classList.remove('typing');
+    }
+
+    openInput() {
+        this.elements.chat?.classList.add('typing');
+        this.elements.input?.focus();
+    }
+
+    closeInput() {
+        this.elements.chat?.classList.remove('typing');
+        this.elements.input?.blur();
+    }
+
+    send() {
+        const input = this.elements.input;
+        if (!input || !input.value.trim()) return;
+        this.app.network.sendChat(input.value);
+        input.value = '';
+    }
+
+    addMessage({ fromId, username, playerType, text, self = false }) {
+        if (!self && this.muted.has(fromId)) return;
+
+        const line = document.createElement('div');
+        line.className = 'chat-message';
+
+        const name = document.createElement('span');
+        name.className = 'chat-name';
+        if (playerType) name.classList.add(`chat-${playerType}`);
+        name.textContent = `${playerType ? TYPE_ICONS[playerType] : '👁️'} ${self ? 'You' : username}`;
+        if (!self) {
+            name.title = 'Click to mute';
+            name.addEventListener('click', () => this.toggleMute(fromId, username));
+        }
+
+        line.appendChild(name);
+        line.appendChild(document.createTextNode(`: ${text}`));
+        this.appendLine(line);
+    }
+
+    addSystemMessage(text) {
+        const line = document.createElement('div');
+        line.className = 'chat-message chat-system';
+        line.textContent = text;
+        this.appendLine(line);
+    }
+
+    appendLine(line) {
+        const log = this.elements.log;
+        if (!log) return;
+
+        log.appendChild(line);
+        while (log.children.length > GAME_CONFIG.CHAT_HISTORY) log.firstChild.remove();
+        log.scrollTop = log.scrollHeight;
+
+        // The in-match overlay only shows recent lines
+        setTimeout(() => line.classList.add('faded'), GAME_CONFIG.CHAT_OVERLAY_TIME);
+    }
+
+    toggleMute(playerId, username) {
+        if (this.muted.has(playerId)) {
+            this.muted.delete(playerId);
+            this.addSystemMessage(`🔊 ${username} unmuted`);
+        } else {
+            this.muted.add(playerId);
+            this.addSystemMessage(`🔇 ${username} muted (click their name again to undo)`);
+        }
+        this.saveMuted();
+    }
+
+    loadMuted() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem(MUTED_KEY)) || []);
+        } catch (e) {
+            return new Set();
+        }
+    }
+
+    saveMuted() {
+        try {
+            localStorage.setItem(MUTED_KEY, JSON.stringify(Array.from(this.muted)));
+        } catch (e) {
+            console.warn('LocalStorage error:', e);
+        }
+    }
+}
@@ -26,6 +26,9 @@ export class IdentityUI {
             this.updateProfileDisplay();
             this.startInviteListener();
             this.setupSocialListeners();
+
+            // Jump back into the match this tab was in before a refresh
+            this.app.network.resumeLastParty();
         }
     }
 
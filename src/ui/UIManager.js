@@ -1,5 +1,14 @@
 // UIManager - Handles all UI screens and HUD
-import { GAME_STATES, TYPE_ICONS, SOLDIER_TYPES } from '../utils/constants.js';
+import { GAME_STATES, TYPE_ICONS, SOLDIER_TYPES, GAME_CONFIG } from '../utils/constants.js';
+import { ALL_PEERS, OUTBOUND } from '../network/transports/index.js';
+import { JOIN_FAILURES } from '../services/RoomDirectory.js';
+
+const JOIN_FAILURE_MESSAGES = {
+    [JOIN_FAILURES.NOT_FOUND]: 'No party uses that code. Check it and try again.',
+    [JOIN_FAILURES.FULL]: 'That party is full, spectator seats included.',
+    [JOIN_FAILURES.CLOSED]: 'That party has closed.',
+    [JOIN_FAILURES.NO_RESPONSE]: 'The party host is not answering. The party may have closed.'
+};
 
 export class UIManager {
     constructor(app) {
@@ -9,10 +18,12 @@ export class UIManager {
         this.screens = {
             mainMenu: document.getElementById('main-menu'),
             joinModal: document.getElementById('join-modal'),
+            roomBrowser: document.getElementById('room-browser'),
             lobby: document.getElementById('lobby-screen'),
             placementUI: document.getElementById('placement-ui'),
             gameHUD: document.getElementById('game-hud'),
-            gameOver: document.getElementById('game-over')
+            gameOver: document.getElementById('game-over'),
+            spectatorBar: document.getElementById('spectator-bar')
         };
 
         this.elements = {
@@ -20,6 +31,13 @@ export class UIManager {
             btnCreateParty: document.getElementById('btn-create-party'),
             btnJoinParty: document.getElementById('btn-join-party'),
             btnSoloTest: document.getElementById('btn-solo-test'),
+            btnQuickMatch: document.getElementById('btn-quick-match'),
+            btnBrowseRooms: document.getElementById('btn-browse-rooms'),
+
+            // Room browser
+            roomList: document.getElementById('room-list'),
+            btnRoomsRefresh: document.getElementById('btn-rooms-refresh'),
+            btnRoomsClose: document.getElementById('btn-rooms-close'),
 
             // Join modal
             partyIdInput: document.getElementById('party-id-input'),
@@ -30,21 +48,46 @@ export class UIManager {
             lobbyPartyId: document.getElementById('lobby-party-id'),
             btnCopyId: document.getElementById('btn-copy-id'),
             btnStartGame: document.getElementById('btn-start-game'),
+            publicToggle: document.getElementById('public-toggle'),
+            publicRoom: document.getElementById('public-room'),
             playerSlots: [
                 document.getElementById('player-1'),
                 document.getElementById('player-2'),
                 document.getElementById('player-3')
             ],
+            slotBotButtons: document.querySelectorAll('.slot-bot'),
+            botControls: document.getElementById('bot-controls'),
+            botDifficulty: document.getElementById('bot-difficulty'),
+            spectatorsList: document.getElementById('spectators-list'),
+            spectatorsNames: document.getElementById('spectators-names'),
+            btnTakeSlot: document.getElementById('btn-take-slot'),
 
             // Placement
             placementCountdown: document.getElementById('placement-countdown'),
+            placementHint: document.getElementById('placement-hint'),
             btnReady: document.getElementById('btn-ready'),
 
+            // Spectator camera
+            spectatorFocusButtons: document.querySelectorAll('.spectator-focus'),
+
             // HUD
             counterRock: document.getElementById('counter-rock'),
             counterPaper: document.getElementById('counter-paper'),
             counterScissors: document.getElementById('counter-scissors'),
             powerupActive: document.getElementById('powerup-active'),
+            btnNetStats: document.getElementById('btn-net-stats'),
+            netStats: document.getElementById('net-stats'),
+
+            // Network simulator (debug)
+            netSim: document.getElementById('net-sim'),
+            netSimTarget: document.getElementById('net-sim-target'),
+            netSimLatency: document.getElementById('net-sim-latency'),
+            netSimJitter: document.getElementById('net-sim-jitter'),
+            netSimLoss: document.getElementById('net-sim-loss'),
+            netSimDuplicate: document.getElementById('net-sim-duplicate'),
+            netSimReorder: document.getElementById('net-sim-reorder'),
+            btnNetSimApply: document.getElementById('btn-net-sim-apply'),
+            btnNetSimClear: document.getElementById('btn-net-sim-clear'),
 
             // Game over
             winnerText: document.getElementById('winner-text'),
@@ -53,6 +96,9 @@ export class UIManager {
             btnBackMenu: document.getElementById('btn-back-menu')
         };
 
+        this.netStatsInterval = null;
+        this.roomBrowserInterval = null;
+
         this.setupEventListeners();
     }
 
@@ -68,6 +114,16 @@ export class UIManager {
             this.showJoinModal();
         });
 
+        this.elements.btnQuickMatch?.addEventListener('click', () => {
+            this.app.audio.playClick();
+            this.app.network.quickMatch();
+        });
+
+        this.elements.btnBrowseRooms?.addEventListener('click', () => {
+            this.app.audio.playClick();
+            this.showRoomBrowser();
+        });
+
         // Solo test mode
         this.elements.btnSoloTest?.addEventListener('click', () => {
             this.app.audio.playClick();
@@ -90,7 +146,23 @@ export class UIManager {
             this.hideJoinModal();
         });
 
+        // Room browser
+        this.elements.btnRoomsRefresh?.addEventListener('click', () => {
+            this.app.audio.playClick();
+            this.refreshRoomList();
+        });
+
+        this.elements.btnRoomsClose?.addEventListener('click', () => {
+            this.app.audio.playClick();
+            this.hideRoomBrowser();
+        });
+
         // Lobby
+        this.elements.publicRoom?.addEventListener('change', () => {
+            this.app.audio.playClick();
+            this.app.network.setPublic(this.elements.publicRoom.checked);
+        });
+
         this.elements.btnCopyId?.addEventListener('click', () => {
             const partyId = this.elements.lobbyPartyId.textContent;
             navigator.clipboard.writeText(partyId);
@@ -106,6 +178,31 @@ export class UIManager {
             this.app.network.startGame();
         });
 
+        // Host: add a bot to an empty slot, or remove one
+        this.elements.slotBotButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.app.audio.playClick();
+                const type = button.dataset.type;
+                if (this.app.network.players.get(type)?.bot) {
+                    this.app.network.removeBot(type);
+                } else {
+                    this.app.network.addBot(type, this.elements.botDifficulty.value);
+                }
+            });
+        });
+
+        this.elements.btnTakeSlot?.addEventListener('click', () => {
+            this.app.audio.playClick();
+            this.app.network.takeSlot();
+        });
+
+        // Spectator camera
+        this.elements.spectatorFocusButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.app.game.setSpectatorFocus(button.dataset.focus || null);
+            });
+        });
+
         // Placement
         this.elements.btnReady?.addEventListener('click', () => {
             this.app.audio.playClick();
@@ -119,8 +216,12 @@ export class UIManager {
             this.app.audio.playClick();
             if (this.app.game.isSoloTest) {
                 this.app.startSoloTest();
+            } else if (this.app.network.isSpectator) {
+                this.app.network.takeSlot();
+                this.showRematchPending();
             } else {
                 this.app.network.requestRematch();
+                this.showRematchPending();
             }
         });
 
@@ -130,8 +231,25 @@ export class UIManager {
             this.app.game.reset();
         });
 
+        // HUD
+        this.elements.btnNetStats?.addEventListener('click', () => this.toggleNetStats());
+
+        // Network simulator
+        this.elements.netSimTarget?.addEventListener('change', () => this.showNetSimConditions());
+        this.elements.btnNetSimApply?.addEventListener('click', () => this.applyNetSim());
+        this.elements.btnNetSimClear?.addEventListener('click', () => {
+            this.app.network.transport.setConditions(this.elements.netSimTarget.value, null);
+            this.showNetSimConditions();
+        });
+
         // Keyboard shortcuts
         window.addEventListener('keydown', (e) => {
+            if (e.key === '`' && e.target.tagName !== 'INPUT') {
+                this.toggleNetStats();
+            }
+            if (e.key === '~' && e.target.tagName !== 'INPUT') {
+                this.toggleNetSim();
+            }
             if (e.key === 'Escape') {
                 if (!this.screens.joinModal.classList.contains('hidden')) {
                     this.hideJoinModal();
@@ -150,6 +268,7 @@ export class UIManager {
     showMainMenu() {
         this.hideAllScreens();
         this.screens.mainMenu?.classList.remove('hidden');
+        this.app.chatUi?.setMode('hidden');
     }
 
     showJoinModal() {
@@ -164,9 +283,94 @@ export class UIManager {
         this.screens.joinModal?.classList.add('hidden');
     }
 
+    showJoinFailure(partyId, reason) {
+        this.app.audio.playError();
+
+        // A running match can still be watched
+        if (reason === JOIN_FAILURES.IN_PROGRESS) {
+            if (confirm(`Party ${partyId} is mid-match and every army is taken. Watch as a spectator?`)) {
+                this.app.network.joinParty(partyId, { spectate: true });
+            }
+            return;
+        }
+
+        alert(`Can't join ${partyId}: ${JOIN_FAILURE_MESSAGES[reason] || reason}`);
+    }
+
+    showRoomBrowser() {
+        this.screens.roomBrowser?.classList.remove('hidden');
+        this.refreshRoomList();
+
+        if (this.roomBrowserInterval) clearInterval(this.roomBrowserInterval);
+        this.roomBrowserInterval = setInterval(() => {
+            if (this.screens.roomBrowser?.classList.contains('hidden')) {
+                this.hideRoomBrowser();
+            } else {
+                this.refreshRoomList();
+            }
+        }, GAME_CONFIG.ROOM_BROWSER_REFRESH);
+    }
+
+    hideRoomBrowser() {
+        this.screens.roomBrowser?.classList.add('hidden');
+        if (this.roomBrowserInterval) clearInterval(this.roomBrowserInterval);
+        this.roomBrowserInterval = null;
+    }
+
+    async refreshRoomList() {
+        const list = this.elements.roomList;
+        if (!list) return;
+
+        const rooms = await this.app.network.rooms.listRooms();
+        list.innerHTML = '';
+
+        if (rooms.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'room-list-empty';
+            empty.textContent = 'No public rooms right now. Quick Match hosts one for you!';
+            list.appendChild(empty);
+            return;
+        }
+
+        rooms.forEach(room => {
+            const hasSlot = room.players < room.maxPlayers;
+            const state = room.state === GAME_STATES.LOBBY ? 'In lobby'
+                : room.state === GAME_STATES.ENDED ? 'Between matches'
+                    : 'In match';
+
+            const row = document.createElement('div');
+            row.className = 'room-row';
+
+            const info = document.createElement('div');
+            info.className = 'room-info';
+            const host = document.createElement('strong');
+            host.textContent = `${room.hostName}'s room`;
+            const details = document.createElement('span');
+            details.className = 'room-details';
+            details.textContent = `👥 ${room.players}/${room.maxPlayers}` +
+                (room.spectators ? ` · 👁️ ${room.spectators}` : '') +
+                ` · 🗺️ ${room.map} · ${state}`;
+            info.append(host, details);
+
+            // Full rooms can still be watched
+            const join = document.createElement('button');
+            join.className = `btn ${hasSlot ? 'btn-primary' : 'btn-secondary'}`;
+            join.textContent = hasSlot ? 'Join' : '👁️ Watch';
+            join.addEventListener('click', () => {
+                this.app.audio.playClick();
+                this.hideRoomBrowser();
+                this.app.network.joinParty(room.id, { spectate: !hasSlot });
+            });
+
+            row.append(info, join);
+            list.appendChild(row);
+        });
+    }
+
     showLobby(partyId, playerType) {
         this.hideAllScreens();
         this.screens.lobby?.classList.remove('hidden');
+        this.app.chatUi?.setMode('panel');
         if (this.elements.lobbyPartyId) {
             this.elements.lobbyPartyId.textContent = partyId;
         }
@@ -175,7 +379,7 @@ export class UIManager {
         this.updatePlayerSlots([{ type: playerType, connected: true }]);
     }
 
-    updatePlayerSlots(players) {
+    updatePlayerSlots(players, isHost = false) {
         const types = [SOLDIER_TYPES.ROCK, SOLDIER_TYPES.PAPER, SOLDIER_TYPES.SCISSORS];
 
         types.forEach((type, index) => {
@@ -186,12 +390,26 @@ export class UIManager {
 
             if (player && player.connected) {
                 slot.classList.add('connected');
-                slot.querySelector('.player-name').textContent = player.name || `Player ${index + 1}`;
+                slot.querySelector('.player-name').textContent = player.bot
+                    ? `🤖 ${player.name} (${player.bot})`
+                    : player.name || `Player ${index + 1}`;
             } else {
                 slot.classList.remove('connected');
                 slot.querySelector('.player-name').textContent = 'Waiting...';
             }
+            slot.classList.toggle('bot', !!player?.bot);
+
+            // Host manages bots: add to an empty slot, remove from a bot slot
+            const botButton = slot.querySelector('.slot-bot');
+            if (botButton) {
+                const canAdd = !player;
+                const canRemove = !!player?.bot;
+                botButton.classList.toggle('hidden', !isHost || (!canAdd && !canRemove));
+                botButton.textContent = canRemove ? '✕' : '+🤖';
+                botButton.title = canRemove ? 'Remove bot' : 'Add bot';
+            }
         });
+        this.elements.botControls?.classList.toggle('hidden', !isHost);
 
         // Enable start button when all players connected
         const connectedCount = players.filter(p => p.connected).length;
@@ -201,15 +419,43 @@ export class UIManager {
         }
     }
 
+    updatePublicToggle(isHost, isPublic) {
+        this.elements.publicToggle?.classList.toggle('hidden', !isHost);
+        if (this.elements.publicRoom) this.elements.publicRoom.checked = isPublic;
+    }
+
+    updateSpectators(names, canTakeSlot) {
+        if (!this.elements.spectatorsList) return;
+        this.elements.spectatorsList.classList.toggle('hidden', names.length === 0);
+        this.elements.spectatorsNames.textContent = names.join(', ');
+        this.elements.btnTakeSlot?.classList.toggle('hidden', !canTakeSlot);
+    }
+
     showPlacementUI() {
         this.hideAllScreens();
         this.screens.placementUI?.classList.remove('hidden');
+        this.app.chatUi?.setMode('overlay');
+
+        // Spectators watch the placement instead of taking part
+        const spectating = !!this.app.network?.isSpectator;
+        this.screens.spectatorBar?.classList.toggle('hidden', !spectating);
+        this.elements.btnReady?.classList.toggle('hidden', spectating);
+        if (this.elements.placementHint) {
+            this.elements.placementHint.textContent = spectating ? 'Players are placing their soldiers...' : 'Place your soldiers!';
+        }
+
         if (this.elements.btnReady) {
             this.elements.btnReady.disabled = false;
             this.elements.btnReady.textContent = '✓ Ready';
         }
     }
 
+    updateSpectatorFocus(type) {
+        this.elements.spectatorFocusButtons.forEach(button => {
+            button.classList.toggle('active', (button.dataset.focus || null) === type);
+        });
+    }
+
     updatePlacementTimer(seconds) {
         if (!this.elements.placementCountdown) return;
 
@@ -230,6 +476,7 @@ export class UIManager {
     showGameHUD() {
         this.screens.placementUI?.classList.add('hidden');
         this.screens.gameHUD?.classList.remove('hidden');
+        this.app.chatUi?.setMode('overlay');
     }
 
     updateSoldierCounts(counts) {
@@ -254,6 +501,85 @@ export class UIManager {
         });
     }
 
+    toggleNetStats() {
+        const panel = this.elements.netStats;
+        if (!panel) return;
+
+        panel.classList.toggle('hidden');
+        if (this.netStatsInterval) clearInterval(this.netStatsInterval);
+        this.netStatsInterval = null;
+
+        if (!panel.classList.contains('hidden')) {
+            this.updateNetStats();
+            this.netStatsInterval = setInterval(() => this.updateNetStats(), 500);
+        }
+    }
+
+    updateNetStats() {
+        const network = this.app.network;
+        if (!network || !this.elements.netStats) return;
+
+        const d = network.getDiagnostics();
+        const kb = bytes => (bytes / 1024).toFixed(1);
+        const rtts = Object.entries(d.rtt).map(([id, ms]) => {
+            const type = network.getPlayerTypeById(id);
+            return `${type ? TYPE_ICONS[type] : id.slice(0, 6)} ${ms}ms`;
+        });
+
+        this.elements.netStats.textContent = [
+            `role      ${d.role}`,
+            `ping      ${rtts.join('  ') || '-'}`,
+            `in        ${d.msgsInPerSec} msg/s  ${kb(d.bytesInPerSec)} KB/s`,
+            `out       ${d.msgsOutPerSec} msg/s  ${kb(d.bytesOutPerSec)} KB/s`,
+            `snapshot  ${d.snapshotAge === null ? '-' : `${d.snapshotAge}ms ago`}`,
+            `jitter    ${d.jitter}ms (delay ${d.interpDelay}ms)`,
+            `dropped   ${d.droppedSnapshots}  late ${d.lateSnapshots}`,
+            `seed      ${d.seed}`
+        ].join('\n');
+    }
+
+    toggleNetSim() {
+        const panel = this.elements.netSim;
+        if (!panel) return;
+
+        panel.classList.toggle('hidden');
+        if (panel.classList.contains('hidden')) return;
+
+        // Outgoing, every incoming peer, then each remote player
+        const network = this.app.network;
+        const select = this.elements.netSimTarget;
+        const selected = select.value;
+        select.innerHTML = '';
+        const targets = [[OUTBOUND, '📤 Outgoing'], [ALL_PEERS, '📥 All incoming']];
+        network.players.forEach((player, type) => {
+            if (type === network.localPlayerType) return;
+            targets.push([player.id, `📥 ${TYPE_ICONS[type]} ${player.username || type}`]);
+        });
+        targets.forEach(([value, label]) => select.add(new Option(label, value)));
+        if (targets.some(([value]) => value === selected)) select.value = selected;
+
+        this.showNetSimConditions();
+    }
+
+    showNetSimConditions() {
+        const c = this.app.network.transport.getConditions(this.elements.netSimTarget.value);
+        this.elements.netSimLatency.value = c.latency;
+        this.elements.netSimJitter.value = c.jitter;
+        this.elements.netSimLoss.value = Math.round(c.loss * 100);
+        this.elements.netSimDuplicate.value = Math.round(c.duplicate * 100);
+        this.elements.netSimReorder.value = Math.round(c.reorder * 100);
+    }
+
+    applyNetSim() {
+        this.app.network.transport.setConditions(this.elements.netSimTarget.value, {
+            latency: this.elements.netSimLatency.value,
+            jitter: this.elements.netSimJitter.value,
+            loss: this.elements.netSimLoss.value / 100,
+            duplicate: this.elements.netSimDuplicate.value / 100,
+            reorder: this.elements.netSimReorder.value / 100
+        });
+    }
+
     showPowerUpActive(icon, duration) {
         const indicator = this.elements.powerupActive;
         if (!indicator) return;
@@ -287,7 +613,22 @@ export class UIManager {
 
     showGameOver(winnerType, soldierCount) {
         this.screens.gameHUD?.classList.add('hidden');
+        this.screens.spectatorBar?.classList.add('hidden');
         this.screens.gameOver?.classList.remove('hidden');
+        this.app.chatUi?.setMode('panel');
+
+        const network = this.app.network;
+        if (this.elements.btnPlayAgain) {
+            if (network?.isSpectator) {
+                // Spectators can only jump in if someone left a slot free
+                const canTakeSlot = network.getNextAvailableType() !== null;
+                this.elements.btnPlayAgain.disabled = !canTakeSlot;
+                this.elements.btnPlayAgain.textContent = canTakeSlot ? '🎮 Take a Slot' : '👁️ Spectating';
+            } else {
+                this.elements.btnPlayAgain.disabled = false;
+                this.elements.btnPlayAgain.textContent = ' Play Again';
+            }
+        }
 
         const icon = TYPE_ICONS[winnerType];
         const name = winnerType.toUpperCase();
@@ -298,4 +639,10 @@ export class UIManager {
             this.elements.finalCount.textContent = soldierCount;
         }
     }
+
+    showRematchPending() {
+        if (!this.elements.btnPlayAgain) return;
+        this.elements.btnPlayAgain.disabled = true;
+        this.elements.btnPlayAgain.textContent = '⏳ Waiting for others...';
+    }
 }
@@ -0,0 +1,39 @@
+// Chat filter - Length limit and a light profanity mask for party chat
+import { GAME_CONFIG } from './constants.js';
+
+// Deliberately short; extend as needed. Matching tolerates case, repeated
+// letters and the usual symbol swaps (a -> @, s -> $, o -> 0 ...). Words only
+// match from their start, so "Scunthorpe" survives.
+const BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'slut', 'whore', 'piss'];
+
+const SUBSTITUTES = {
+    a: 'a@4',
+    e: 'e3',
+    i: 'i1!|',
+    o: 'o0',
+    s: 's$5',
+    t: 't7',
+    u: 'uv'
+};
+
+const escapeClass = chars => chars.replace(/[\\\]^-]/g, '\\$&');
+
+const BLOCKED_PATTERN = new RegExp(
+    '(?<![a-z0-9])(?:' + BLOCKED_WORDS
+        .map(word => Array.from(word).map(ch => `[${escapeClass(SUBSTITUTES[ch] || ch)}]+`).join('[\\s._-]*'))
+        .join('|') + ')',
+    'gi'
+);
+
+export function maskProfanity(text) {
+    return text.replace(BLOCKED_PATTERN, match => '*'.repeat(match.length));
+}
+
+/**
+ * Trim, collapse whitespace, cut to CHAT_MAX_LENGTH and mask profanity.
+ * Returns '' when nothing is left to send.
+ */
+export function cleanChatMessage(text) {
+    const trimmed = String(text).replace(/\s+/g, ' ').trim().slice(0, GAME_CONFIG.CHAT_MAX_LENGTH);
+    return maskProfanity(trimmed);
+}
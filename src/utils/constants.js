@@ -18,6 +18,7 @@ export const GAME_CONFIG = {
     // Arena - responsive to screen
     ARENA_WIDTH: 40,
     ARENA_HEIGHT: 24,
+    MAP_NAME: 'Classic Arena',
 
     // Soldiers - SMALLER sizes
     SOLDIERS_PER_ARMY: 5,
@@ -30,6 +31,12 @@ export const GAME_CONFIG = {
     SPEED_PENALTY_PER_SOLDIER: 0.012,
     MIN_SPEED_MULTIPLIER: 0.75,
 
+    // Simulation
+    TICK_RATE: 60, // Fixed simulation steps per second, whatever the frame rate
+    MAX_TICKS_PER_FRAME: 5, // Longer stalls are dropped instead of fast-forwarded
+    CONVERSION_TIME: 0.4, // s a converted soldier flashes before switching sides
+    SPATIAL_CELL_SIZE: 2, // Soldier index cell; at least the contact and pickup distances
+
     // Phases
     PLACEMENT_TIME: 10,
 
@@ -43,7 +50,81 @@ export const GAME_CONFIG = {
     FOLLOW_SMOOTHING: 0.15,
 
     // Network
-    SYNC_RATE: 30
+    SYNC_RATE: 30,
+    SNAPSHOT_KEYFRAME_INTERVAL: 30, // Full snapshot at least once a second
+    SNAPSHOT_HISTORY: 64, // Snapshots kept for delta baselines
+    SNAPSHOT_ACK_INTERVAL: 100, // ms between standalone acks from clients
+    POSITION_PRECISION: 100, // Positions sent as integer hundredths
+    INPUT_SEND_INTERVAL: 50, // ms between client inputs (~20/sec)
+    RECONCILE_SMOOTHING: 0.3, // Share of a prediction error fixed per snapshot
+    RECONCILE_SNAP_DISTANCE: 2, // Errors bigger than this snap immediately
+    SNAPSHOT_IDLE_INTERVAL: 100, // ms - empty snapshot so clients know nothing moved
+    INTERP_MIN_DELAY: 50, // ms remote armies are rendered behind the host
+    INTERP_MAX_DELAY: 300,
+    INTERP_MAX_EXTRAPOLATION: 150, // ms we guess ahead when snapshots are late
+    HEARTBEAT_INTERVAL: 500, // ms between host heartbeats
+    HOST_TIMEOUT: 3000, // ms of host silence before clients elect a new host
+    RESYNC_REQUEST_INTERVAL: 2000, // ms between a lost client's requests for the running match
+    RECONNECT_GRACE_PERIOD: 15000, // ms a dropped player's army idles before the AI takes over
+    INPUT_RATE_LIMIT: 30, // Max inputs/sec the host accepts per client (they send 20)
+    INPUT_RATE_BURST: 10,
+    PING_INTERVAL: 1000, // ms between host RTT probes
+    MAX_SPECTATORS: 8,
+    SPECTATOR_ZOOM: 1.8, // Camera zoom while following an army
+
+    // Chat
+    CHAT_MAX_LENGTH: 120,
+    CHAT_RATE_LIMIT: 1, // Messages/sec each receiver accepts per sender
+    CHAT_RATE_BURST: 5,
+    CHAT_HISTORY: 50,
+    CHAT_OVERLAY_TIME: 8000, // ms a message stays in the in-match overlay
+
+    // Room registry and public rooms
+    ROOM_REFRESH_INTERVAL: 5000, // ms between a host's registry keep-alives
+    ROOM_TTL: 15000, // ms without a keep-alive before a room counts as abandoned
+    ROOM_EXPIRY: 3600000, // ms before abandoned rooms are deleted and their codes reusable
+    ROOM_BROWSER_REFRESH: 3000, // ms between room browser refreshes
+    JOIN_TIMEOUT: 8000 // ms a joiner waits for the host to answer
+};
+
+// Quick chat on number keys 1-8
+export const QUICK_CHAT = [
+    'Good luck! 🍀',
+    'Nice one! 👏',
+    'Help me! 🆘',
+    'Run! 🏃',
+    'Truce? 🤝',
+    'Get them! ⚔️',
+    '😂',
+    'GG 🏆'
+];
+
+export const BOT_DIFFICULTIES = {
+    EASY: 'easy',
+    NORMAL: 'normal',
+    HARD: 'hard'
+};
+
+// How the AI plays at each difficulty
+export const BOT_PROFILES = {
+    easy: {
+        reactionTime: 600, // ms between decisions
+        dangerRange: 5, // Flees from armies that beat it inside this range
+        aimError: 0.6, // Max radians of steering error
+        seeksPowerUps: false
+    },
+    normal: {
+        reactionTime: 0,
+        dangerRange: 8,
+        aimError: 0,
+        seeksPowerUps: false
+    },
+    hard: {
+        reactionTime: 0,
+        dangerRange: 10,
+        aimError: 0,
+        seeksPowerUps: true
+    }
 };
 
 export const COLORS = {
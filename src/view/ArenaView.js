@@ -0,0 +1,148 @@
+// ArenaView - Floor, zone markers and walls for an Arena's layout
+import * as THREE from 'three';
+import { GAME_CONFIG, COLORS } from '../utils/constants.js';
+
+export class ArenaView {
+    constructor(scene, arena) {
+        this.scene = scene;
+        this.arena = arena;
+        this.objects = [];
+
+        this.createFloor();
+        this.createSpawnZones();
+        this.createCenterRing();
+        arena.walls.forEach(wall => this.createWall(wall));
+        arena.slowZones.forEach(zone => this.createSlowZone(zone));
+        arena.speedZones.forEach(zone => this.createSpeedZone(zone));
+    }
+
+    add(object) {
+        this.scene.add(object);
+        this.objects.push(object);
+    }
+
+    createFloor() {
+        const { ARENA_WIDTH, ARENA_HEIGHT } = GAME_CONFIG;
+
+        // Simple clean floor
+        const floorGeometry = new THREE.PlaneGeometry(ARENA_WIDTH, ARENA_HEIGHT);
+        const floorMaterial = new THREE.MeshStandardMaterial({
+            color: COLORS.arena.floor,
+            roughness: 0.9,
+            metalness: 0.1
+        });
+
+        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.y = 0;
+        floor.receiveShadow = true;
+        this.add(floor);
+
+        // Subtle grid
+        const gridHelper = new THREE.GridHelper(
+            Math.max(ARENA_WIDTH, ARENA_HEIGHT),
+            30,
+            0x333333,
+            0x2a2a2a
+        );
+        gridHelper.position.y = 0.01;
+        this.add(gridHelper);
+    }
+
+    createSpawnZones() {
+        Object.entries(this.arena.spawnZones).forEach(([type, zone]) => {
+            const colorKey = `spawn${type.charAt(0).toUpperCase() + type.slice(1)}`;
+            const color = COLORS.arena[colorKey];
+            this.createZoneMarker(zone.x, zone.z, zone.width, zone.height, color, 0.3);
+        });
+    }
+
+    createZoneMarker(x, z, width, height, color, opacity) {
+        const geometry = new THREE.PlaneGeometry(width, height);
+        const material = new THREE.MeshStandardMaterial({
+            color: color,
+            transparent: true,
+            opacity: opacity,
+            roughness: 0.9
+        });
+        const zone = new THREE.Mesh(geometry, material);
+        zone.rotation.x = -Math.PI / 2;
+        zone.position.set(x, 0.02, z);
+        zone.receiveShadow = true;
+        this.add(zone);
+    }
+
+    createCenterRing() {
+        // Battle ring in center
+        const ringGeometry = new THREE.RingGeometry(3, 4, 32);
+        const ringMaterial = new THREE.MeshStandardMaterial({
+            color: 0xff6b35,
+            transparent: true,
+            opacity: 0.25,
+            side: THREE.DoubleSide
+        });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(this.arena.neutralZone.x, 0.02, this.arena.neutralZone.z);
+        this.add(ring);
+    }
+
+    createWall({ x, z, width, depth, height, isBoundary }) {
+        const geometry = new THREE.BoxGeometry(width, height, depth);
+        const material = isBoundary
+            ? new THREE.MeshStandardMaterial({ color: 0x1a1a2e, roughness: 0.8 })
+            : new THREE.MeshStandardMaterial({ color: COLORS.arena.wall, roughness: 0.6, metalness: 0.3 });
+
+        const wall = new THREE.Mesh(geometry, material);
+        wall.position.set(x, height / 2, z);
+        wall.castShadow = true;
+        wall.receiveShadow = !isBoundary;
+        this.add(wall);
+    }
+
+    createSlowZone({ x, z, radius }) {
+        const geometry = new THREE.CircleGeometry(radius, 32);
+        const material = new THREE.MeshStandardMaterial({
+            color: COLORS.arena.slowZone,
+            transparent: true,
+            opacity: 0.35,
+            roughness: 0.9
+        });
+
+        const zone = new THREE.Mesh(geometry, material);
+        zone.rotation.x = -Math.PI / 2;
+        zone.position.set(x, 0.03, z);
+        this.add(zone);
+    }
+
+    createSpeedZone({ x, z, radius }) {
+        const geometry = new THREE.CircleGeometry(radius, 32);
+        const material = new THREE.MeshStandardMaterial({
+            color: COLORS.arena.speedZone,
+            transparent: true,
+            opacity: 0.35,
+            emissive: COLORS.arena.speedZone,
+            emissiveIntensity: 0.15
+        });
+
+        const zone = new THREE.Mesh(geometry, material);
+        zone.rotation.x = -Math.PI / 2;
+        zone.position.set(x, 0.03, z);
+        this.add(zone);
+    }
+
+    destroy() {
+        this.objects.forEach(obj => {
+            this.scene.remove(obj);
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) {
+                if (Array.isArray(obj.material)) {
+                    obj.material.forEach(m => m.dispose());
+                } else {
+                    obj.material.dispose();
+                }
+            }
+        });
+        this.objects = [];
+    }
+}
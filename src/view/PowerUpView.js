@@ -0,0 +1,270 @@
+// PowerUpView - Draws power-up orbs (a unique shape per type) and decoy leaders
+//
+// An orb floats and spins while it is up and bursts when it is picked up;
+// the burst plays out after the orb has left the simulation.
+import * as THREE from 'three';
+import { GAME_CONFIG, POWERUP_CONFIG } from '../utils/constants.js';
+
+const COLLECT_TIME = 0.2; // s
+
+export class PowerUpView {
+    constructor(scene, powerUp) {
+        this.scene = scene;
+        this.powerUp = powerUp;
+        this.time = 0;
+        this.collectTime = null; // s into the burst, once collected
+
+        this.mesh = this.createMesh();
+        this.mesh.position.set(powerUp.x, 0.8, powerUp.z);
+        this.scene.add(this.mesh);
+    }
+
+    // Per frame; false once the burst is over and the view can go
+    sync(delta) {
+        this.time += delta;
+
+        if (this.powerUp.isCollected) {
+            this.collectTime = (this.collectTime ?? 0) + delta;
+            const progress = this.collectTime / COLLECT_TIME;
+            if (progress >= 1) return false;
+
+            this.mesh.scale.setScalar(1 + progress * 2);
+            this.innerMesh.material.opacity = 1 - progress;
+            this.glow.material.opacity = 0.25 * (1 - progress);
+            return true;
+        }
+
+        // Floating and rotating
+        this.mesh.position.y = 0.8 + Math.sin(this.time * 2.5) * 0.25;
+        this.mesh.rotation.y += delta * 1.5;
+
+        // Pulse glow
+        this.glow.scale.setScalar(1 + Math.sin(this.time * 4) * 0.15);
+        this.glow.material.opacity = 0.2 + Math.sin(this.time * 4) * 0.1;
+        return true;
+    }
+
+    createMesh() {
+        const config = POWERUP_CONFIG[this.powerUp.type];
+        const size = GAME_CONFIG.POWERUP_SIZE || 0.5;
+
+        // Create unique shape based on power-up type
+        const group = new THREE.Group();
+        let geometry;
+
+        switch (config.shape) {
+            case 'lightning':
+                geometry = this.createLightningShape(size);
+                break;
+            case 'shield':
+                geometry = this.createShieldShape(size);
+                break;
+            case 'plus':
+                geometry = this.createPlusShape(size);
+                break;
+            case 'magnet':
+                geometry = this.createMagnetShape(size);
+                break;
+            case 'star':
+                geometry = this.createStarShape(size);
+                break;
+            case 'person':
+                geometry = this.createPersonShape(size);
+                break;
+            case 'arrows':
+                geometry = this.createArrowsShape(size);
+                break;
+            default:
+                geometry = new THREE.OctahedronGeometry(size, 0);
+        }
+
+        const material = new THREE.MeshStandardMaterial({
+            color: config.color,
+            emissive: config.color,
+            emissiveIntensity: 0.6,
+            roughness: 0.2,
+            metalness: 0.7
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        group.add(mesh);
+
+        // Add glow effect
+        const glowGeometry = new THREE.SphereGeometry(size * 1.3, 16, 16);
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: config.color,
+            transparent: true,
+            opacity: 0.25
+        });
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        group.add(glow);
+        this.glow = glow;
+
+        this.innerMesh = mesh;
+        return group;
+    }
+
+    // ⚡ Lightning bolt shape
+    createLightningShape(size) {
+        const shape = new THREE.Shape();
+        shape.moveTo(0, size * 1.5);
+        shape.lineTo(size * 0.4, size * 0.3);
+        shape.lineTo(size * 0.15, size * 0.3);
+        shape.lineTo(size * 0.5, -size * 1.5);
+        shape.lineTo(0, -size * 0.2);
+        shape.lineTo(size * 0.25, -size * 0.2);
+        shape.lineTo(-size * 0.3, size * 1.5);
+        shape.closePath();
+
+        const extrudeSettings = { depth: size * 0.3, bevelEnabled: false };
+        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
+    }
+
+    // 🛡️ Shield shape
+    createShieldShape(size) {
+        const shape = new THREE.Shape();
+        shape.moveTo(0, size * 1.2);
+        shape.quadraticCurveTo(size * 1.2, size * 0.8, size * 1.2, 0);
+        shape.quadraticCurveTo(size * 1.2, -size * 0.8, 0, -size * 1.2);
+        shape.quadraticCurveTo(-size * 1.2, -size * 0.8, -size * 1.2, 0);
+        shape.quadraticCurveTo(-size * 1.2, size * 0.8, 0, size * 1.2);
+
+        const extrudeSettings = { depth: size * 0.25, bevelEnabled: true, bevelSize: size * 0.1, bevelThickness: size * 0.1 };
+        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
+    }
+
+    // 👥 Plus/Cross shape (Reinforcement)
+    createPlusShape(size) {
+        const shape = new THREE.Shape();
+        const w = size * 0.4;
+        const l = size * 1.2;
+
+        shape.moveTo(-w, l);
+        shape.lineTo(w, l);
+        shape.lineTo(w, w);
+        shape.lineTo(l, w);
+        shape.lineTo(l, -w);
+        shape.lineTo(w, -w);
+        shape.lineTo(w, -l);
+        shape.lineTo(-w, -l);
+        shape.lineTo(-w, -w);
+        shape.lineTo(-l, -w);
+        shape.lineTo(-l, w);
+        shape.lineTo(-w, w);
+        shape.closePath();
+
+        const extrudeSettings = { depth: size * 0.3, bevelEnabled: false };
+        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
+    }
+
+    // 🧲 U-shaped magnet
+    createMagnetShape(size) {
+        const shape = new THREE.Shape();
+        const outer = size * 1.2;
+        const inner = size * 0.6;
+        const height = size * 1.5;
+        const thickness = size * 0.35;
+
+        // Outer U
+        shape.moveTo(-outer, height);
+        shape.lineTo(-outer, -height * 0.3);
+        shape.quadraticCurveTo(-outer, -height, 0, -height);
+        shape.quadraticCurveTo(outer, -height, outer, -height * 0.3);
+        shape.lineTo(outer, height);
+        shape.lineTo(outer - thickness, height);
+        shape.lineTo(outer - thickness, -height * 0.3);
+        shape.quadraticCurveTo(outer - thickness, -height + thickness, 0, -height + thickness);
+        shape.quadraticCurveTo(-outer + thickness, -height + thickness, -outer + thickness, -height * 0.3);
+        shape.lineTo(-outer + thickness, height);
+        shape.closePath();
+
+        const extrudeSettings = { depth: size * 0.3, bevelEnabled: false };
+        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
+    }
+
+    // 💫 Star burst shape
+    createStarShape(size) {
+        const shape = new THREE.Shape();
+        const points = 6;
+        const outerRadius = size * 1.2;
+        const innerRadius = size * 0.5;
+
+        for (let i = 0; i < points * 2; i++) {
+            const angle = (i / (points * 2)) * Math.PI * 2 - Math.PI / 2;
+            const radius = i % 2 === 0 ? outerRadius : innerRadius;
+            const x = Math.cos(angle) * radius;
+            const y = Math.sin(angle) * radius;
+
+            if (i === 0) {
+                shape.moveTo(x, y);
+            } else {
+                shape.lineTo(x, y);
+            }
+        }
+        shape.closePath();
+
+        const extrudeSettings = { depth: size * 0.25, bevelEnabled: true, bevelSize: size * 0.05 };
+        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
+    }
+
+    // 👤 Person silhouette shape
+    createPersonShape(size) {
+        // Head
+        const headGeom = new THREE.SphereGeometry(size * 0.4, 16, 16);
+        const bodyGeom = new THREE.CapsuleGeometry(size * 0.3, size * 0.8, 8, 16);
+
+        // Merge into one - just use capsule for simplicity
+        return new THREE.CapsuleGeometry(size * 0.35, size * 1.2, 8, 16);
+    }
+
+    // 🔄 Rotating arrows shape
+    createArrowsShape(size) {
+        const shape = new THREE.Shape();
+        const r = size * 1.0;
+        const thickness = size * 0.25;
+
+        // Curved arrow - simplified as ring segment
+        return new THREE.TorusGeometry(r, thickness, 8, 16, Math.PI * 1.5);
+    }
+
+    destroy() {
+        this.scene.remove(this.mesh);
+        this.innerMesh.geometry.dispose();
+        this.innerMesh.material.dispose();
+        this.glow.geometry.dispose();
+        this.glow.material.dispose();
+    }
+}
+
+// The fake leader CLONE_LEADER leaves behind
+export class DecoyView {
+    constructor(scene, decoy) {
+        this.scene = scene;
+        this.decoy = decoy;
+        this.time = 0;
+
+        this.geometry = new THREE.SphereGeometry(GAME_CONFIG.LEADER_SIZE, 16, 16);
+        this.material = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.7
+        });
+
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.position.set(decoy.x, 0.5, decoy.z);
+        this.scene.add(this.mesh);
+    }
+
+    sync(delta) {
+        this.time += delta;
+        this.mesh.position.y = 0.5 + Math.sin(this.time * 5) * 0.1;
+        this.mesh.rotation.y += 0.1;
+    }
+
+    destroy() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
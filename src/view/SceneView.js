@@ -0,0 +1,105 @@
+// SceneView - The Three.js picture of a match
+//
+// The simulation (Arena, Army, Soldier, PowerUpManager) is plain data and
+// never touches a mesh. Once per frame sync() brings the scene in line with
+// it: views appear for new soldiers and orbs, follow the ones that moved or
+// changed, and go away with the ones that are gone. Headless runs simply
+// don't have one.
+import { ArenaView } from './ArenaView.js';
+import { SoldierView } from './SoldierView.js';
+import { PowerUpView, DecoyView } from './PowerUpView.js';
+
+export class SceneView {
+    constructor(scene, game) {
+        this.scene = scene;
+        this.game = game;
+
+        this.arena = null;
+        this.arenaView = null;
+        this.soldierViews = new Map(); // Soldier -> SoldierView
+        this.powerUpViews = new Map(); // PowerUp -> PowerUpView
+        this.decoyViews = new Map(); // decoy -> DecoyView
+    }
+
+    /**
+     * Per frame. `alphaFor(armyType)` says how far between the last two ticks
+     * to draw that army (1 for armies placed straight from snapshots).
+     */
+    sync(delta, alphaFor) {
+        const game = this.game;
+
+        if (game.arena !== this.arena) {
+            this.arenaView?.destroy();
+            this.arena = game.arena;
+            this.arenaView = game.arena ? new ArenaView(this.scene, game.arena) : null;
+        }
+
+        // Soldiers keep their view through conversions: same object, new army
+        const soldiers = new Set();
+        game.armies.forEach((army, type) => {
+            const alpha = alphaFor(type);
+            army.soldiers.forEach(soldier => {
+                soldiers.add(soldier);
+                let view = this.soldierViews.get(soldier);
+                if (!view) {
+                    view = new SoldierView(this.scene, soldier);
+                    this.soldierViews.set(soldier, view);
+                }
+                view.sync(delta, alpha, army.isInvincible);
+            });
+        });
+        this.prune(this.soldierViews, soldiers);
+
+        // Collected orbs leave the simulation at once but finish their burst here
+        const manager = game.powerUpManager;
+        const powerUps = new Set(manager ? manager.powerUps : []);
+        powerUps.forEach(powerUp => {
+            if (!this.powerUpViews.has(powerUp)) {
+                this.powerUpViews.set(powerUp, new PowerUpView(this.scene, powerUp));
+            }
+        });
+        this.powerUpViews.forEach((view, powerUp) => {
+            const alive = powerUps.has(powerUp) || powerUp.isCollected;
+            if (!alive || !view.sync(delta)) {
+                view.destroy();
+                this.powerUpViews.delete(powerUp);
+            }
+        });
+
+        const now = game.timestep.time;
+        const decoys = new Set(manager ? manager.decoys.filter(d => d.endsAt > now) : []);
+        decoys.forEach(decoy => {
+            let view = this.decoyViews.get(decoy);
+            if (!view) {
+                view = new DecoyView(this.scene, decoy);
+                this.decoyViews.set(decoy, view);
+            }
+            view.sync(delta);
+        });
+        this.prune(this.decoyViews, decoys);
+    }
+
+    // Drop the views whose model is no longer in `alive`
+    prune(views, alive) {
+        views.forEach((view, model) => {
+            if (alive.has(model)) return;
+            view.destroy();
+            views.delete(model);
+        });
+    }
+
+    // The soldiers' meshes, for picking them with the mouse
+    getMeshes(soldiers) {
+        return soldiers.map(s => this.soldierViews.get(s)?.mesh).filter(Boolean);
+    }
+
+    clear() {
+        [this.soldierViews, this.powerUpViews, this.decoyViews].forEach(views => {
+            views.forEach(view => view.destroy());
+            views.clear();
+        });
+        this.arenaView?.destroy();
+        this.arenaView = null;
+        this.arena = null;
+    }
+}
@@ -0,0 +1,260 @@
+// SoldierView - Draws one Soldier: a rock, paper or scissors model, plus a
+// ring for the leader
+//
+// Rebuilt whenever the soldier changes type (conversion) or leader status.
+// Between ticks it is drawn part of the way from the last position to the
+// current one; the bobbing and flashes are only for show.
+import * as THREE from 'three';
+import { COLORS, GAME_CONFIG, SOLDIER_TYPES } from '../utils/constants.js';
+
+export class SoldierView {
+    constructor(scene, soldier) {
+        this.scene = scene;
+        this.soldier = soldier;
+        this.type = null;
+        this.isLeader = null;
+        this.modelMesh = null;
+        this.leaderRing = null;
+
+        this.mesh = new THREE.Group();
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        this.mesh.userData.soldier = soldier; // for picking during placement
+        this.scene.add(this.mesh);
+
+        this.build();
+    }
+
+    // (Re)create the model for the soldier's current type and leader status
+    build() {
+        const { type, isLeader } = this.soldier;
+        this.type = type;
+        this.isLeader = isLeader;
+        this.removeModel();
+
+        const size = isLeader ? GAME_CONFIG.LEADER_SIZE : GAME_CONFIG.SOLDIER_SIZE;
+        const colors = COLORS[type];
+        this.modelMesh = this.createTypeModel(type, size, isLeader ? colors.light : colors.main);
+        this.mesh.add(this.modelMesh);
+
+        if (isLeader) {
+            this.addLeaderGlow(this.mesh, size);
+        }
+    }
+
+    removeModel() {
+        if (this.modelMesh) {
+            this.mesh.remove(this.modelMesh);
+            this.modelMesh.geometry.dispose();
+            this.modelMesh.material.dispose();
+            this.modelMesh = null;
+        }
+        if (this.leaderRing) {
+            this.mesh.remove(this.leaderRing);
+            this.leaderRing.geometry.dispose();
+            this.leaderRing.material.dispose();
+            this.leaderRing = null;
+        }
+    }
+
+    /**
+     * Per frame. `alpha` is how far to draw between the previous tick and the
+     * current one (1 = exactly where the simulation has it).
+     */
+    sync(delta, alpha, isInvincible) {
+        const soldier = this.soldier;
+        if (soldier.type !== this.type || soldier.isLeader !== this.isLeader) {
+            this.build();
+        }
+
+        let x = soldier.x;
+        let z = soldier.z;
+        if (soldier.prevX !== null) {
+            const dx = (soldier.prevX - soldier.x) * (1 - alpha);
+            const dz = (soldier.prevZ - soldier.z) * (1 - alpha);
+            // Teleports (resyncs, split formation) snap
+            if (dx * dx + dz * dz <= 1) {
+                x += dx;
+                z += dz;
+            }
+        }
+        this.mesh.position.x = x;
+        this.mesh.position.z = z;
+        this.mesh.rotation.y = soldier.facing;
+
+        // Bobbing animation
+        const time = Date.now() * 0.003;
+        const bobHeight = soldier.isLeader ? 0.15 : 0.08;
+        const baseY = GAME_CONFIG.SOLDIER_SIZE * 1.5;
+        this.mesh.position.y = baseY + Math.sin(time + soldier.id.charCodeAt(0)) * bobHeight;
+
+        // Conversion: flash white and pulse; invincibility: gold glow
+        const material = this.modelMesh.material;
+        if (soldier.isConverting) {
+            const progress = Math.min(1, soldier.conversionTime / GAME_CONFIG.CONVERSION_TIME);
+            const flash = Math.sin(progress * Math.PI * 6) > 0;
+            material.emissive.setHex(flash ? 0xffffff : 0x000000);
+            material.emissiveIntensity = flash ? 0.8 : 0;
+            this.mesh.scale.setScalar(1 + Math.sin(progress * Math.PI) * 0.4);
+        } else {
+            material.emissive.setHex(isInvincible ? 0xffd700 : 0x000000);
+            material.emissiveIntensity = isInvincible ? 0.5 : 0;
+            this.mesh.scale.setScalar(1);
+        }
+
+        // Leader ring pulse
+        if (this.leaderRing) {
+            this.leaderRing.material.opacity = 0.4 + Math.sin(time * 2) * 0.2;
+            this.leaderRing.rotation.z += delta * 0.5;
+        }
+    }
+
+    createTypeModel(type, size, color) {
+        let geometry;
+
+        switch (type) {
+            case SOLDIER_TYPES.ROCK:
+                geometry = this.createRockGeometry(size);
+                break;
+            case SOLDIER_TYPES.PAPER:
+                geometry = this.createPaperGeometry(size);
+                break;
+            case SOLDIER_TYPES.SCISSORS:
+                geometry = this.createScissorsGeometry(size);
+                break;
+            default:
+                geometry = new THREE.SphereGeometry(size, 16, 16);
+        }
+
+        const material = new THREE.MeshStandardMaterial({
+            color: color,
+            roughness: 0.4,
+            metalness: 0.3,
+            flatShading: true
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+
+        return mesh;
+    }
+
+    createRockGeometry(size) {
+        // More obvious rock shape - larger dodecahedron with bumps
+        const geometry = new THREE.DodecahedronGeometry(size * 1.2, 1);
+        const positions = geometry.attributes.position;
+
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i);
+            const y = positions.getY(i);
+            const z = positions.getZ(i);
+
+            // Add larger random perturbation for rocky look
+            const noise = (Math.random() - 0.5) * 0.25 * size;
+            positions.setXYZ(i, x + noise, y + noise * 0.5, z + noise);
+        }
+
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    createPaperGeometry(size) {
+        // Flat paper shape - wider and more obvious
+        const geometry = new THREE.BoxGeometry(size * 2.5, size * 0.15, size * 2);
+        const positions = geometry.attributes.position;
+
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i);
+            const y = positions.getY(i);
+
+            // More pronounced wave effect
+            const wave = Math.sin(x * 2) * 0.1 * size;
+            positions.setY(i, y + wave);
+        }
+
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    createScissorsGeometry(size) {
+        // Clear X-shape scissors using two crossed blades
+        const bladeWidth = size * 0.3;
+        const bladeLength = size * 2;
+        const bladeThickness = size * 0.2;
+
+        // Create two blade shapes that cross
+        const blade1 = new THREE.BoxGeometry(bladeLength, bladeThickness, bladeWidth);
+        const blade2 = new THREE.BoxGeometry(bladeLength, bladeThickness, bladeWidth);
+
+        // Combine into one geometry
+        const geometry = new THREE.BufferGeometry();
+
+        // For scissors, we'll use a merged geometry approach
+        // Create an X shape by rotating one blade
+        const shape = new THREE.Shape();
+
+        // Draw X shape for scissors blades
+        const arm = size * 1.2;
+        const thick = size * 0.25;
+
+        // Right arm
+        shape.moveTo(thick, 0);
+        shape.lineTo(arm, arm - thick);
+        shape.lineTo(arm, arm);
+        shape.lineTo(arm - thick, arm);
+        shape.lineTo(0, thick);
+        // Left arm  
+        shape.lineTo(-arm + thick, arm);
+        shape.lineTo(-arm, arm);
+        shape.lineTo(-arm, arm - thick);
+        shape.lineTo(-thick, 0);
+        // Bottom left
+        shape.lineTo(-arm, -arm + thick);
+        shape.lineTo(-arm, -arm);
+        shape.lineTo(-arm + thick, -arm);
+        shape.lineTo(0, -thick);
+        // Bottom right
+        shape.lineTo(arm - thick, -arm);
+        shape.lineTo(arm, -arm);
+        shape.lineTo(arm, -arm + thick);
+        shape.closePath();
+
+        const extrudeSettings = {
+            depth: size * 0.3,
+            bevelEnabled: true,
+            bevelThickness: size * 0.05,
+            bevelSize: size * 0.05,
+            bevelSegments: 2
+        };
+
+        const extruded = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        extruded.rotateX(Math.PI / 2);
+
+        return extruded;
+    }
+
+    addLeaderGlow(group, size) {
+        // Add glowing ring around leader
+        const ringSize = size * 1.5;
+        const ringGeometry = new THREE.RingGeometry(ringSize, ringSize * 1.15, 32);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: COLORS[this.type].light,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide
+        });
+
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.05;
+        group.add(ring);
+
+        this.leaderRing = ring;
+    }
+
+    destroy() {
+        this.removeModel();
+        this.scene.remove(this.mesh);
+    }
+}
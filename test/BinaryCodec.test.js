@@ -0,0 +1,104 @@
+// BinaryCodec round-trips: decode(encode(message)) must give back the exact message
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BinaryCodec, quantizeInput } from '../src/network/BinaryCodec.js';
+import { SnapshotSender } from '../src/network/Snapshots.js';
+
+const HOST_ID = 'host-uuid';
+const CLIENT_ID = 'client-uuid';
+
+function roundTrip(sender, receiver, message, baseline = null) {
+    const d = sender.encode(message, baseline);
+    assert.ok(d, `${message.type} should encode`);
+    return receiver.decode({ type: 'bin', fromId: message.fromId, d });
+}
+
+function startState() {
+    return {
+        rock: { inv: 0, rev: 0, spd: 1, soldiers: { rock_LEADER: [100, -200, 1], rock_1: [5, 5, 0] } },
+        paper: { inv: 0, rev: 0, spd: 1.5, soldiers: {} },
+        scissors: { inv: 1, rev: 1, spd: 0.5, soldiers: { scissors_R_2: [-3000, 3000, 0] } }
+    };
+}
+
+// A keyframe, then deltas against it: the shapes the host really sends
+function snapshots() {
+    const snapshots = new SnapshotSender();
+    const build = (state, now) => {
+        const message = snapshots.build(state, [CLIENT_ID], now);
+        message.inputs = { paper: 4, scissors: 3 };
+        message.fromId = HOST_ID;
+        return { message, baseline: message.base !== null ? snapshots.history.get(message.base) : null };
+    };
+    return { snapshots, build };
+}
+
+test('game_state keyframe round-trips', () => {
+    const host = new BinaryCodec();
+    const client = new BinaryCodec();
+    const { build } = snapshots();
+
+    const { message } = build(startState(), 1000);
+    assert.equal(message.key, true);
+    assert.deepEqual(roundTrip(host, client, message), message);
+});
+
+test('game_state deltas round-trip, with removals and names new since the keyframe', () => {
+    const host = new BinaryCodec();
+    const client = new BinaryCodec();
+    const { snapshots: sender, build } = snapshots();
+
+    const state = startState();
+    const keyframe = build(state, 1000).message;
+    roundTrip(host, client, keyframe);
+    sender.ack(CLIENT_ID, keyframe.seq);
+
+    // Leader lost, rock_1 promoted and moved, a reinforcement joins paper, scissors slows down
+    const next = structuredClone(state);
+    delete next.rock.soldiers.rock_LEADER;
+    next.rock.soldiers.rock_1 = [6, 5, 1];
+    next.paper.soldiers.paper_R_3 = [1, 2, 0];
+    next.scissors.spd = 1.25;
+
+    const { message, baseline } = build(next, 1040);
+    assert.equal(message.key, false);
+    assert.deepEqual(message.armies.rock.rm, ['rock_LEADER']);
+    assert.deepEqual(roundTrip(host, client, message, baseline), message);
+});
+
+test('game_state delta naming an entity the receiver never saw decodes to null', () => {
+    const host = new BinaryCodec();
+    const { snapshots: sender, build } = snapshots();
+
+    const state = startState();
+    const keyframe = build(state, 1000).message;
+    roundTrip(host, new BinaryCodec(), keyframe);
+    sender.ack(CLIENT_ID, keyframe.seq);
+
+    const next = structuredClone(state);
+    next.rock.soldiers.rock_1 = [50, 5, 0];
+    const { message, baseline } = build(next, 1040);
+    assert.equal(roundTrip(host, new BinaryCodec(), message, baseline), null);
+});
+
+test('player_input round-trips with and without ack', () => {
+    const host = new BinaryCodec();
+    const client = new BinaryCodec();
+
+    for (const [x, z] of [[0, 0], [1, 0], [Math.SQRT1_2, -Math.SQRT1_2], [-0.3, 0.9]]) {
+        const withAck = { type: 'player_input', playerType: 'paper', seq: 7, x: quantizeInput(x), z: quantizeInput(z), ack: 12, fromId: CLIENT_ID };
+        assert.deepEqual(roundTrip(client, host, withAck), withAck);
+
+        const { ack, ...withoutAck } = withAck;
+        assert.deepEqual(roundTrip(client, host, withoutAck), withoutAck);
+    }
+});
+
+test('unquantized input falls back to JSON', () => {
+    const client = new BinaryCodec();
+    assert.equal(client.encode({ type: 'player_input', playerType: 'paper', seq: 1, x: 0.123456, z: 0 }), null);
+});
+
+test('truncated payloads are rejected', () => {
+    assert.throws(() => new BinaryCodec().decode({ fromId: HOST_ID, d: btoa('\x01\x02') }));
+});
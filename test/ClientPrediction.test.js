@@ -0,0 +1,112 @@
+// ClientPrediction: rewinding to a host snapshot and replaying unacked inputs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClientPrediction } from '../src/network/ClientPrediction.js';
+import { captureState, dequantize } from '../src/network/Snapshots.js';
+import { Army } from '../src/game/Army.js';
+import { Arena } from '../src/game/Arena.js';
+import { GAME_CONFIG } from '../src/utils/constants.js';
+
+const STEP = 1 / GAME_CONFIG.TICK_RATE;
+const TYPE = 'rock';
+
+function spawnArmy(arena) {
+    const army = new Army(TYPE, true, arena);
+    const zone = arena.getSpawnZone(TYPE);
+    army.setSpawnPosition(zone.x, zone.z);
+    return army;
+}
+
+// Drives the client like Game does: sample, apply, advance, one tick at a time
+function predict(prediction, army, arena, ticks, readInput) {
+    for (let tick = 0; tick < ticks; tick++) {
+        const { input } = prediction.sample(tick * STEP * 1000, readInput);
+        army.simulate(STEP, input, arena);
+        prediction.advance(STEP);
+    }
+}
+
+// What the host ends up with after applying `inputs` at the durations the client reported
+function replay(army, arena, inputs) {
+    inputs.forEach(input => {
+        let remaining = input.duration;
+        while (remaining > 1e-9) {
+            const step = Math.min(remaining, STEP);
+            army.simulate(step, input, arena);
+            remaining -= step;
+        }
+    });
+}
+
+function positions(army) {
+    return army.soldiers.map(s => [s.id, s.x, s.z]);
+}
+
+function assertPositions(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach(([id, x, z], i) => {
+        assert.equal(id, expected[i][0]);
+        assert.ok(Math.abs(x - expected[i][1]) < 1e-9, `${id}.x ${x} != ${expected[i][1]}`);
+        assert.ok(Math.abs(z - expected[i][2]) < 1e-9, `${id}.z ${z} != ${expected[i][2]}`);
+    });
+}
+
+test('a corrected snapshot plus the pending inputs replays to the expected position', () => {
+    const arena = new Arena();
+    const prediction = new ClientPrediction();
+    const client = spawnArmy(arena);
+
+    // Turn halfway through, so the acked and pending inputs differ
+    predict(prediction, client, arena, 30, () => ({ x: 1, z: 0 }));
+    predict(prediction, client, arena, 30, () => ({ x: 0, z: 1 }));
+
+    const inputs = prediction.pending.map(input => ({ ...input }));
+    const ackSeq = inputs[Math.floor(inputs.length / 2)].seq;
+    const acked = inputs.filter(input => input.seq <= ackSeq);
+
+    // The host applied the acked inputs, then something shoved the army far off course
+    const host = spawnArmy(arena);
+    replay(host, arena, acked);
+    host.soldiers.forEach(s => { s.x -= 5; s.z += 3; });
+    const serverSoldiers = captureState(new Map([[TYPE, host]]))[TYPE].soldiers;
+
+    // Expected: the host's (quantized) positions, then every input it hasn't seen yet
+    const expected = spawnArmy(arena);
+    expected.soldiers.forEach(s => {
+        s.x = dequantize(serverSoldiers[s.id][0]);
+        s.z = dequantize(serverSoldiers[s.id][1]);
+    });
+    replay(expected, arena, inputs.filter(input => input.seq > ackSeq));
+
+    prediction.reconcile(client, arena, ackSeq, serverSoldiers);
+
+    assert.deepEqual(prediction.pending.map(input => input.seq), inputs.filter(input => input.seq > ackSeq).map(input => input.seq));
+    assertPositions(positions(client), positions(expected)); // error > RECONCILE_SNAP_DISTANCE: snapped
+});
+
+test('a small correction is blended in rather than snapped', () => {
+    const arena = new Arena();
+    const prediction = new ClientPrediction();
+    const client = spawnArmy(arena);
+    predict(prediction, client, arena, 20, () => ({ x: 1, z: 1 }));
+
+    const before = positions(client);
+    const ackSeq = prediction.pending[prediction.pending.length - 1].seq;
+    const offset = GAME_CONFIG.RECONCILE_SNAP_DISTANCE / 4;
+
+    // Host agrees on everything but a small offset, and has seen every input
+    const serverSoldiers = {};
+    client.soldiers.forEach(s => {
+        serverSoldiers[s.id] = [Math.round((s.x + offset) * GAME_CONFIG.POSITION_PRECISION), Math.round(s.z * GAME_CONFIG.POSITION_PRECISION), s.isLeader ? 1 : 0];
+    });
+
+    prediction.reconcile(client, arena, ackSeq, serverSoldiers);
+
+    assert.equal(prediction.pending.length, 0);
+    client.soldiers.forEach((s, i) => {
+        const [, x, z] = before[i];
+        const target = dequantize(serverSoldiers[s.id][0]);
+        assert.ok(Math.abs(s.x - (x + (target - x) * GAME_CONFIG.RECONCILE_SMOOTHING)) < 1e-9);
+        assert.ok(Math.abs(s.z - (z + (dequantize(serverSoldiers[s.id][1]) - z) * GAME_CONFIG.RECONCILE_SMOOTHING)) < 1e-9);
+    });
+});
@@ -0,0 +1,40 @@
+// HeadlessMatch: the same seed and difficulties replay the same match
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessMatch } from '../src/headless/HeadlessMatch.js';
+import { BOT_DIFFICULTIES } from '../src/utils/constants.js';
+
+function play(options) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new HeadlessMatch(options).run();
+    } finally {
+        console.log = log;
+    }
+}
+
+test('the same seed twice plays the same match', () => {
+    const options = { seed: 1234, difficulties: { paper: BOT_DIFFICULTIES.HARD }, recordCalls: true };
+    const first = play(options);
+    const second = play(options);
+
+    assert.ok(first.events.some(e => e.type === 'conversion'));
+    assert.notEqual(first.winner, null);
+    assert.deepEqual(second, first);
+});
+
+test('a different seed plays a different match', () => {
+    const first = play({ seed: 1234 });
+    const other = play({ seed: 4321 });
+    assert.notDeepEqual(other.events, first.events);
+});
+
+test('a match cut short is a draw that followed the same course', () => {
+    const full = play({ seed: 99 });
+    const cut = play({ seed: 99, maxDuration: 10 });
+
+    assert.equal(cut.winner, null);
+    assert.ok(cut.ticks < full.ticks);
+    assert.deepEqual(cut.events, full.events.filter(e => e.tick <= cut.ticks));
+});
@@ -0,0 +1,190 @@
+// A whole party in one process: host and client NetworkManagers over the
+// in-memory LocalTransport, each with its own identity and a real Game
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetworkManager } from '../src/network/NetworkManager.js';
+import { LocalTransport } from '../src/network/transports/index.js';
+import { RoomDirectory, LocalRoomBackend } from '../src/services/RoomDirectory.js';
+import { Game } from '../src/game/Game.js';
+import { createNullAdapter } from '../src/headless/adapters.js';
+import { PROTOCOL_VERSION } from '../src/network/Protocol.js';
+import { GAME_STATES, SOLDIER_TYPES } from '../src/utils/constants.js';
+
+// What main.js gives the game, minus the window, canvas and sound
+class LocalPeer {
+    constructor(id, rooms) {
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.ui = createNullAdapter('ui');
+        this.audio = createNullAdapter('audio');
+        this.chatUi = null;
+        this.network = new NetworkManager(this, new LocalTransport({ inMemory: true }), {
+            identity: { currentUser: { id, username: id } },
+            rooms,
+            storage: null,
+            window: null
+        });
+        this.game = new Game(this);
+    }
+}
+
+// Lets queued deliveries run; fails the test instead of hanging
+async function until(condition, what, timeout = 2000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) assert.fail(`timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+function quiet() {
+    const log = console.log;
+    console.log = () => {};
+    return () => { console.log = log; };
+}
+
+test('host and client play lobby -> placement -> playing -> ended in one process', async () => {
+    const restore = quiet();
+    const rooms = new RoomDirectory(new LocalRoomBackend(null));
+    const host = new LocalPeer('host', rooms);
+    const client = new LocalPeer('client', rooms);
+    const peers = [host, client];
+
+    try {
+        // Lobby
+        await host.network.createParty();
+        await client.network.joinParty(host.network.partyId);
+        await until(() => client.network.localPlayerType === SOLDIER_TYPES.PAPER, 'the client to get a slot');
+        assert.equal(client.game.state, GAME_STATES.LOBBY);
+        assert.equal(host.network.players.get(SOLDIER_TYPES.PAPER).id, 'client');
+
+        // Placement: both armies exist on both sides
+        host.network.startGame();
+        await until(() => client.game.state === GAME_STATES.PLACEMENT, 'game_start');
+        assert.equal(host.game.state, GAME_STATES.PLACEMENT);
+        assert.equal(client.game.random.seed, host.game.random.seed);
+
+        // Layout echoes move the host's army on the client, never the client's own
+        const hostLeader = host.game.armies.get(SOLDIER_TYPES.ROCK).leader;
+        const echoedLeader = client.game.armies.get(SOLDIER_TYPES.ROCK).leader;
+        const ownLeader = client.game.armies.get(SOLDIER_TYPES.PAPER).leader;
+        hostLeader.x += 0.5;
+        ownLeader.x += 0.5;
+        const placedX = ownLeader.x;
+        host.network.broadcastLayout();
+        await until(() => Math.abs(echoedLeader.x - hostLeader.x) < 0.01, 'placement_sync');
+        assert.equal(ownLeader.x, placedX);
+
+        // Playing once everyone is ready
+        client.network.sendReady();
+        host.network.sendReady();
+        await until(() => client.game.state === GAME_STATES.PLAYING, 'battle_start');
+        assert.equal(host.game.state, GAME_STATES.PLAYING);
+
+        // Paper and Scissors wiped out: the host's own win check ends the match
+        peers.forEach(peer => peer.game.update(peer.game.timestep.step));
+        [SOLDIER_TYPES.PAPER, SOLDIER_TYPES.SCISSORS].forEach(type => {
+            const army = host.game.armies.get(type);
+            [...army.soldiers].forEach(soldier => army.despawnSoldier(soldier));
+        });
+        host.game.update(host.game.timestep.step);
+        assert.equal(host.game.state, GAME_STATES.ENDED);
+        await until(() => client.game.state === GAME_STATES.ENDED, 'game_over');
+    } finally {
+        peers.forEach(peer => peer.network.leaveParty());
+        restore();
+    }
+});
+
+test('a client that loses every phase change catches up from heartbeats', async () => {
+    const restore = quiet();
+    const warn = console.warn;
+    console.warn = () => {};
+    const rooms = new RoomDirectory(new LocalRoomBackend(null));
+    const host = new LocalPeer('host', rooms);
+    const client = new LocalPeer('client', rooms);
+    const peers = [host, client];
+
+    // The relay drops these on the way to the client
+    const lost = new Set(['game_start', 'battle_start', 'game_over']);
+    const transport = client.network.transport;
+    const receive = transport.receive.bind(transport);
+    transport.receive = (data) => {
+        if (!lost.has(data?.type)) receive(data);
+    };
+
+    try {
+        await host.network.createParty();
+        await client.network.joinParty(host.network.partyId);
+        await until(() => client.network.localPlayerType === SOLDIER_TYPES.PAPER, 'the client to get a slot');
+
+        // Missed game_start: asks for the running match and rebuilds it from full_state
+        host.network.startGame();
+        await until(() => client.game.state === GAME_STATES.PLACEMENT, 'a resync into placement', 5000);
+        assert.equal(client.game.random.seed, host.game.random.seed);
+
+        client.network.sendReady();
+        host.network.sendReady();
+        await until(() => host.game.state === GAME_STATES.PLAYING, 'everyone ready');
+        await until(() => client.game.state === GAME_STATES.PLAYING, 'battle from the heartbeat', 5000);
+
+        [SOLDIER_TYPES.PAPER, SOLDIER_TYPES.SCISSORS].forEach(type => {
+            const army = host.game.armies.get(type);
+            [...army.soldiers].forEach(soldier => army.despawnSoldier(soldier));
+        });
+        host.game.update(host.game.timestep.step);
+        assert.equal(host.game.state, GAME_STATES.ENDED);
+        await until(() => client.game.state === GAME_STATES.ENDED, 'game over from the heartbeat', 5000);
+        assert.equal(client.network.lastWinner, SOLDIER_TYPES.ROCK);
+    } finally {
+        peers.forEach(peer => peer.network.leaveParty());
+        console.warn = warn;
+        restore();
+    }
+});
+
+test('a join_request under someone else\'s id is refused and recorded', async () => {
+    const restore = quiet();
+    const rooms = new RoomDirectory(new LocalRoomBackend(null));
+    const host = new LocalPeer('host', rooms);
+
+    try {
+        await host.network.createParty();
+        host.network.handleMessage({ type: 'join_request', fromId: 'mallory', id: 'client', username: 'client', version: PROTOCOL_VERSION });
+
+        assert.equal(host.network.getPlayerTypeById('client'), null);
+        assert.equal(host.network.getPlayerTypeById('mallory'), null);
+        assert.equal(host.network.moderation.getCount('mallory', 'join_spoof'), 1);
+    } finally {
+        host.network.leaveParty();
+        restore();
+    }
+});
+
+test('a spectator follows the match with no camera', async () => {
+    const restore = quiet();
+    const rooms = new RoomDirectory(new LocalRoomBackend(null));
+    const host = new LocalPeer('host', rooms);
+    const players = ['paper', 'scissors'].map(id => new LocalPeer(id, rooms));
+    const spectator = new LocalPeer('spectator', rooms);
+    const peers = [host, ...players, spectator];
+
+    try {
+        await host.network.createParty();
+        for (const peer of [...players, spectator]) {
+            await peer.network.joinParty(host.network.partyId);
+            await until(() => peer.network.localPlayerType || peer.network.isSpectator, `${peer.network.identity.currentUser.id} to get a slot`);
+        }
+        assert.equal(spectator.network.isSpectator, true);
+
+        host.network.startGame();
+        await until(() => spectator.game.state === GAME_STATES.PLACEMENT, 'game_start');
+        assert.equal(spectator.game.isSpectating(), true);
+        spectator.game.setSpectatorFocus(SOLDIER_TYPES.ROCK);
+        spectator.game.update(spectator.game.timestep.step);
+    } finally {
+        peers.forEach(peer => peer.network.leaveParty());
+        restore();
+    }
+});
@@ -0,0 +1,72 @@
+// Moderation: the per-sender token bucket and the violation counts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, ModerationLog } from '../src/network/Moderation.js';
+
+// How many of `count` messages sent at `now` get through
+function burst(limiter, id, count, now) {
+    let allowed = 0;
+    for (let i = 0; i < count; i++) {
+        if (limiter.allow(id, now)) allowed++;
+    }
+    return allowed;
+}
+
+test('a fresh sender gets a full burst, then nothing until tokens refill', () => {
+    const limiter = new RateLimiter(10, 5);
+    assert.equal(burst(limiter, 'a', 20, 0), 5);
+    assert.equal(limiter.allow('a', 0), false);
+
+    // 10/s: one token every 100 ms
+    assert.equal(limiter.allow('a', 50), false);
+    assert.equal(limiter.allow('a', 100), true);
+    assert.equal(limiter.allow('a', 100), false);
+});
+
+test('refills are capped at the burst size', () => {
+    const limiter = new RateLimiter(10, 5);
+    burst(limiter, 'a', 5, 0);
+    assert.equal(burst(limiter, 'a', 20, 60000), 5);
+});
+
+test('a steady sender at the allowed rate is never limited', () => {
+    const limiter = new RateLimiter(20, 2);
+    for (let now = 0; now < 5000; now += 50) {
+        assert.equal(limiter.allow('a', now), true, `blocked at ${now} ms`);
+    }
+});
+
+test('senders have separate buckets, and reset refills them', () => {
+    const limiter = new RateLimiter(1, 3);
+    burst(limiter, 'a', 3, 0);
+    assert.equal(limiter.allow('a', 0), false);
+    assert.equal(burst(limiter, 'b', 3, 0), 3);
+
+    limiter.reset('a');
+    assert.equal(burst(limiter, 'a', 5, 0), 3);
+    assert.equal(limiter.allow('b', 0), false);
+
+    limiter.reset();
+    assert.equal(limiter.allow('b', 0), true);
+});
+
+test('the moderation log counts violations per player and reason', () => {
+    const log = new ModerationLog();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        log.record({ id: 'a', username: 'A', type: 'rock' }, 'chat_spoof', 'paper');
+        log.record({ id: 'a' }, 'chat_spoof');
+        log.record({ id: 'a' }, 'chat_rate_limit');
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.equal(log.getCount('a', 'chat_spoof'), 2);
+    assert.equal(log.getCount('a', 'chat_rate_limit'), 1);
+    assert.equal(log.getCount('b', 'chat_spoof'), 0);
+    assert.equal(log.entries[0].playerType, 'rock');
+
+    log.clear();
+    assert.equal(log.getCount('a', 'chat_spoof'), 0);
+});
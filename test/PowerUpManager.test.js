@@ -0,0 +1,30 @@
+// PowerUpManager: reinforcement ids on a host that took over mid-match
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessMatch } from '../src/headless/HeadlessMatch.js';
+import { POWERUP_TYPES, SOLDIER_TYPES } from '../src/utils/constants.js';
+
+test('reinforcement ids count on past every id already on the field', () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const game = new HeadlessMatch({ seed: 3 }).app.game;
+        game.startGame(null, 3);
+        const rock = game.armies.get(SOLDIER_TYPES.ROCK);
+        const paper = game.armies.get(SOLDIER_TYPES.PAPER);
+
+        // Mirrored from the old host: a rock reinforcement paper has converted since
+        rock.soldiers.filter(s => !s.isLeader).slice(0, 3).forEach(s => rock.despawnSoldier(s));
+        rock.spawnSoldier('rock_R_4', 0, 0);
+        paper.spawnSoldier('rock_R_7', 0, 0);
+
+        game.powerUpManager.applyPowerUp(POWERUP_TYPES.REINFORCEMENT, rock);
+
+        const ids = [...game.armies.values()].flatMap(army => army.soldiers.map(s => s.id));
+        assert.equal(new Set(ids).size, ids.length);
+        assert.deepEqual(rock.soldiers.map(s => s.id).filter(id => id.includes('_R_')), ['rock_R_4', 'rock_R_8', 'rock_R_9']);
+        game.cleanup();
+    } finally {
+        console.log = log;
+    }
+});
@@ -0,0 +1,58 @@
+// Protocol: message validation and who may send what
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROTOCOL_VERSION, validateMessage, isAuthorized } from '../src/network/Protocol.js';
+
+const HOST = 'host';
+const CLIENT = 'client';
+
+test('well-formed messages validate', () => {
+    assert.equal(validateMessage({ type: 'game_over', fromId: HOST, winner: 'rock' }), null);
+    assert.equal(validateMessage({ type: 'heartbeat', fromId: HOST, phase: 'placement', placementTimer: 12.5 }), null);
+    assert.equal(validateMessage({ type: 'player_input', fromId: CLIENT, playerType: 'paper', seq: 4, x: 0.5, z: -1 }), null);
+});
+
+test('a wrong field type, a missing field or an unknown field is rejected', () => {
+    assert.equal(validateMessage({ type: 'player_input', fromId: CLIENT, playerType: 'paper', seq: 4, x: NaN, z: 0 }), 'bad field "x"');
+    assert.equal(validateMessage({ type: 'player_input', fromId: CLIENT, playerType: 'paper', seq: '4', x: 0, z: 0 }), 'bad field "seq"');
+    assert.equal(validateMessage({ type: 'game_over', fromId: HOST, winner: 'lizard' }), 'bad field "winner"');
+    assert.equal(validateMessage({ type: 'game_over', fromId: HOST }), 'bad field "winner"');
+    assert.equal(validateMessage({ type: 'game_over', fromId: HOST, winner: 'rock', extra: 1 }), 'unknown field "extra"');
+    assert.equal(validateMessage({ type: 'game_over', winner: 'rock' }), 'missing fromId');
+    assert.equal(validateMessage({ type: 'nuke', fromId: HOST }), 'unknown type "nuke"');
+    assert.equal(validateMessage(null), 'not an object');
+});
+
+test('a host-only type sent by a non-host is unauthorized', () => {
+    const gameOver = { type: 'game_over', fromId: CLIENT, winner: 'paper' };
+    assert.equal(validateMessage(gameOver), null);
+    assert.equal(isAuthorized(gameOver, HOST), false);
+    assert.equal(isAuthorized({ ...gameOver, fromId: HOST }, HOST), true);
+
+    // Anyone may send the rest
+    assert.equal(isAuthorized({ type: 'player_ready', fromId: CLIENT, playerType: 'paper' }, HOST), true);
+});
+
+test('before a host is known only the PRE_ASSIGNMENT replies get through', () => {
+    const assigned = { type: 'player_assigned', fromId: HOST, targetId: CLIENT, playerType: 'paper', players: [], spectators: [] };
+    const full = { type: 'party_full', fromId: HOST, targetId: CLIENT };
+    assert.equal(validateMessage(assigned), null);
+    assert.equal(isAuthorized(assigned, null), true);
+    assert.equal(isAuthorized(full, null), true);
+
+    assert.equal(isAuthorized({ type: 'game_start', fromId: HOST, players: [], spectators: [], seed: 1 }, null), false);
+    assert.equal(isAuthorized({ type: 'heartbeat', fromId: HOST, phase: 'lobby' }, null), false);
+});
+
+test('a version mismatch still gets through to the host, and its reply back to the joiner', () => {
+    // Older builds sent no version, or an older one; the host must see both to answer
+    const join = { type: 'join_request', fromId: CLIENT, id: CLIENT, username: 'Client' };
+    assert.equal(validateMessage(join), null);
+    assert.equal(validateMessage({ ...join, version: PROTOCOL_VERSION - 1 }), null);
+    assert.equal(validateMessage({ ...join, version: String(PROTOCOL_VERSION) }), 'bad field "version"');
+
+    const mismatch = { type: 'version_mismatch', fromId: HOST, targetId: CLIENT, hostVersion: PROTOCOL_VERSION + 1 };
+    assert.equal(validateMessage(mismatch), null);
+    assert.equal(isAuthorized(mismatch, null), true);
+    assert.equal(isAuthorized({ ...mismatch, fromId: CLIENT }, HOST), false);
+});
@@ -0,0 +1,60 @@
+// Random: seeded streams that replay exactly and don't disturb each other
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random, RandomStreams, RANDOM_STREAMS } from '../src/game/Random.js';
+
+const draws = (random, n = 20) => Array.from({ length: n }, () => random.next());
+
+test('the same seed gives the same numbers', () => {
+    assert.deepEqual(draws(new Random(42)), draws(new Random(42)));
+    assert.notDeepEqual(draws(new Random(42)), draws(new Random(43)));
+
+    const a = new RandomStreams(42);
+    const b = new RandomStreams(42);
+    Object.values(RANDOM_STREAMS).forEach(name => {
+        assert.deepEqual(draws(a.stream(name)), draws(b.stream(name)), name);
+    });
+});
+
+test('draws stay in range', () => {
+    const random = new Random(7);
+    for (let i = 0; i < 1000; i++) {
+        const value = random.next();
+        assert.ok(value >= 0 && value < 1);
+        const n = random.int(6);
+        assert.ok(Number.isInteger(n) && n >= 0 && n < 6);
+        const r = random.range(-2, 3);
+        assert.ok(r >= -2 && r < 3);
+    }
+    assert.ok(['a', 'b'].includes(random.pick(['a', 'b'])));
+});
+
+test('streams are independent: extra draws in one leave the others alone', () => {
+    const quiet = new RandomStreams(1234);
+    const chatty = new RandomStreams(1234);
+
+    draws(chatty.stream(RANDOM_STREAMS.AI), 500);
+    chatty.stream(RANDOM_STREAMS.EFFECTS).angle();
+
+    assert.deepEqual(draws(chatty.stream(RANDOM_STREAMS.POWERUPS)), draws(quiet.stream(RANDOM_STREAMS.POWERUPS)));
+    assert.deepEqual(draws(chatty.stream(RANDOM_STREAMS.REINFORCEMENTS)), draws(quiet.stream(RANDOM_STREAMS.REINFORCEMENTS)));
+});
+
+test('streams of one seed differ from each other', () => {
+    const streams = new RandomStreams(1234);
+    const sequences = Object.values(RANDOM_STREAMS).map(name => draws(streams.stream(name)).join());
+    assert.equal(new Set(sequences).size, sequences.length);
+});
+
+test('reseeding starts every stream over', () => {
+    const streams = new RandomStreams(5);
+    const first = draws(streams.stream(RANDOM_STREAMS.AI));
+    draws(streams.stream(RANDOM_STREAMS.POWERUPS));
+
+    streams.reseed(5);
+    assert.equal(streams.seed, 5);
+    assert.deepEqual(draws(streams.stream(RANDOM_STREAMS.AI)), first);
+
+    streams.reseed(6);
+    assert.notDeepEqual(draws(streams.stream(RANDOM_STREAMS.AI)), first);
+});
@@ -0,0 +1,72 @@
+// SnapshotInterpolator: bracketing, capped extrapolation and the jitter-driven delay
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotInterpolator } from '../src/network/SnapshotInterpolator.js';
+import { GAME_CONFIG } from '../src/utils/constants.js';
+
+const TRANSIT = 20; // ms every snapshot spends on the wire
+
+// One rock soldier moving +1 x per 100 ms of host time
+function stateAt(hostTime) {
+    return { rock: { inv: 0, rev: 0, spd: 1, soldiers: { r0: [hostTime, -hostTime, 1] } } };
+}
+
+function feed(interpolator, hostTimes, transit = () => TRANSIT) {
+    hostTimes.forEach((t, i) => interpolator.push(t, stateAt(t), t + transit(i)));
+}
+
+// Local time at which the interpolator renders host time `renderTime`
+function nowFor(interpolator, renderTime) {
+    return renderTime - interpolator.clockOffset + interpolator.delay;
+}
+
+test('the render time is bracketed by the two snapshots around it', () => {
+    const interpolator = new SnapshotInterpolator();
+    feed(interpolator, [0, 100, 200, 300]);
+    assert.equal(interpolator.clockOffset, -TRANSIT);
+
+    const { r0 } = interpolator.sample(nowFor(interpolator, 150)).rock;
+    assert.ok(Math.abs(r0.x - 1.5) < 1e-9);
+    assert.ok(Math.abs(r0.z + 1.5) < 1e-9);
+
+    // Before the oldest snapshot: hold it
+    assert.equal(interpolator.sample(nowFor(interpolator, -50)).rock.r0.x, 0);
+});
+
+test('snapshots arriving out of order are still bracketed correctly', () => {
+    const interpolator = new SnapshotInterpolator();
+    feed(interpolator, [0, 200, 100, 300]);
+    assert.deepEqual(interpolator.buffer.map(entry => entry.t), [0, 100, 200, 300]);
+    assert.ok(Math.abs(interpolator.sample(nowFor(interpolator, 250)).rock.r0.x - 2.5) < 1e-9);
+});
+
+test('a gap in the stream extrapolates, but no further than INTERP_MAX_EXTRAPOLATION', () => {
+    const interpolator = new SnapshotInterpolator();
+    feed(interpolator, [0, 100, 200]);
+
+    const shortGap = interpolator.sample(nowFor(interpolator, 250)).rock.r0;
+    assert.ok(Math.abs(shortGap.x - 2.5) < 1e-9);
+
+    const longGap = interpolator.sample(nowFor(interpolator, 200 + 5000)).rock.r0;
+    const capped = 2 + GAME_CONFIG.INTERP_MAX_EXTRAPOLATION / 100;
+    assert.ok(Math.abs(longGap.x - capped) < 1e-9);
+});
+
+test('the delay grows with arrival jitter and stays within its bounds', () => {
+    const hostTimes = Array.from({ length: 60 }, (_, i) => i * 1000 / GAME_CONFIG.SYNC_RATE);
+
+    const steady = new SnapshotInterpolator();
+    feed(steady, hostTimes);
+    assert.equal(steady.jitter, 0);
+
+    const jittery = new SnapshotInterpolator();
+    feed(jittery, hostTimes, i => (i % 2 ? TRANSIT + 60 : TRANSIT));
+    assert.ok(jittery.jitter > 0);
+    assert.ok(jittery.delay > steady.delay + 20, `${jittery.delay} vs ${steady.delay}`);
+    assert.ok(jittery.delay <= GAME_CONFIG.INTERP_MAX_DELAY);
+
+    const awful = new SnapshotInterpolator();
+    feed(awful, hostTimes, i => (i % 2 ? TRANSIT + 1000 : TRANSIT));
+    assert.ok(awful.delay <= GAME_CONFIG.INTERP_MAX_DELAY);
+    assert.ok(steady.delay >= GAME_CONFIG.INTERP_MIN_DELAY);
+});
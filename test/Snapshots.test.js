@@ -0,0 +1,106 @@
+// Snapshots: quantized capture, keyframe/delta choice and client rebuilds
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotSender, SnapshotReceiver, captureState, dequantize } from '../src/network/Snapshots.js';
+import { GAME_CONFIG } from '../src/utils/constants.js';
+
+const CLIENT = 'client';
+
+function armies(rockX = 1.234) {
+    const army = (soldiers, extra = {}) => ({ soldiers, isInvincible: false, isReversed: false, speedMultiplier: 1, ...extra });
+    return new Map([
+        ['rock', army([{ id: 'r0', x: rockX, z: -2.5, isLeader: true }, { id: 'r1', x: 3, z: 4, isLeader: false }])],
+        ['paper', army([{ id: 'p0', x: -7.891, z: 0, isLeader: true }], { isInvincible: true, speedMultiplier: 1.5 })]
+    ]);
+}
+
+test('captureState quantizes positions to POSITION_PRECISION', () => {
+    const state = captureState(armies());
+    assert.deepEqual(state.rock.soldiers.r0, [123, -250, 1]);
+    assert.deepEqual(state.paper.soldiers.p0, [-789, 0, 1]);
+    assert.equal(state.paper.inv, 1);
+    assert.equal(state.paper.spd, 1.5);
+    assert.ok(Math.abs(dequantize(state.rock.soldiers.r0[0]) - 1.234) <= 0.5 / GAME_CONFIG.POSITION_PRECISION);
+});
+
+test('a delta against an acked base carries only what changed and rebuilds the full state', () => {
+    const sender = new SnapshotSender();
+    const receiver = new SnapshotReceiver();
+
+    const keyframe = sender.build(captureState(armies()), [CLIENT], 0);
+    assert.equal(keyframe.key, true);
+    receiver.receive(keyframe);
+    sender.ack(CLIENT, keyframe.seq);
+
+    const moved = armies(2);
+    moved.get('rock').soldiers.pop(); // r1 converted away
+    const state = captureState(moved);
+    const delta = sender.build(state, [CLIENT], 40);
+
+    assert.equal(delta.key, false);
+    assert.equal(delta.base, keyframe.seq);
+    assert.deepEqual(delta.armies, { rock: { s: [['r0', 200, -250, 1]], rm: ['r1'] } });
+    assert.deepEqual(receiver.receive(delta), state);
+});
+
+test('nothing changed: no message until the idle interval, then an empty delta', () => {
+    const sender = new SnapshotSender();
+    const state = captureState(armies());
+    sender.ack(CLIENT, sender.build(state, [CLIENT], 0).seq);
+
+    assert.equal(sender.build(state, [CLIENT], 10), null);
+    const idle = sender.build(state, [CLIENT], GAME_CONFIG.SNAPSHOT_IDLE_INTERVAL + 10);
+    assert.deepEqual(idle.armies, {});
+    assert.equal(idle.key, false);
+});
+
+test('a lost ack keeps the sender on keyframes', () => {
+    const sender = new SnapshotSender();
+    const first = sender.build(captureState(armies()), [CLIENT], 0);
+    // The ack for `first` never arrives
+    const second = sender.build(captureState(armies(2)), [CLIENT], 40);
+    assert.equal(first.key, true);
+    assert.equal(second.key, true);
+    assert.equal(second.base, null);
+});
+
+test('forgetPeer (rejoin, new host) forces a keyframe', () => {
+    const sender = new SnapshotSender();
+    sender.ack(CLIENT, sender.build(captureState(armies()), [CLIENT], 0).seq);
+    assert.equal(sender.build(captureState(armies(2)), [CLIENT], 40).key, false);
+
+    sender.forgetPeer(CLIENT);
+    assert.equal(sender.build(captureState(armies(3)), [CLIENT], 80).key, true);
+});
+
+test('the baseline is the oldest ack among all peers, and keyframes still come periodically', () => {
+    const sender = new SnapshotSender();
+    const peers = [CLIENT, 'spectator'];
+    const first = sender.build(captureState(armies()), peers, 0);
+    peers.forEach(peer => sender.ack(peer, first.seq));
+
+    const second = sender.build(captureState(armies(2)), peers, 40);
+    sender.ack(CLIENT, second.seq);
+    assert.equal(sender.build(captureState(armies(3)), peers, 80).base, first.seq);
+
+    let message;
+    for (let i = 4; i <= GAME_CONFIG.SNAPSHOT_KEYFRAME_INTERVAL + 1; i++) {
+        message = sender.build(captureState(armies(i)), peers, i * 40);
+    }
+    assert.equal(message.key, true);
+});
+
+test('the receiver drops stale snapshots and deltas whose base it never had', () => {
+    const sender = new SnapshotSender();
+    const receiver = new SnapshotReceiver();
+
+    const keyframe = sender.build(captureState(armies()), [CLIENT], 0);
+    sender.ack(CLIENT, keyframe.seq);
+    const delta = sender.build(captureState(armies(2)), [CLIENT], 40);
+
+    assert.equal(receiver.receive(delta), null); // keyframe was lost
+    assert.ok(receiver.receive(keyframe));
+    assert.ok(receiver.receive(delta));
+    assert.equal(receiver.receive(keyframe), null); // late duplicate
+    assert.equal(receiver.lastSeq, delta.seq);
+});
@@ -0,0 +1,80 @@
+// SpatialHash: queries must find everything a brute-force scan finds
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialHash } from '../src/game/SpatialHash.js';
+import { Random } from '../src/game/Random.js';
+import { GAME_CONFIG } from '../src/utils/constants.js';
+
+const CELL = GAME_CONFIG.SPATIAL_CELL_SIZE;
+
+function bruteForce(items, x, z, radius) {
+    return items.filter(item => (item.x - x) ** 2 + (item.z - z) ** 2 < radius * radius);
+}
+
+function assertFinds(hash, items, x, z, radius) {
+    const found = new Set(hash.query(x, z, radius));
+    bruteForce(items, x, z, radius).forEach(item => {
+        assert.ok(found.has(item), `query(${x}, ${z}, ${radius}) missed ${item.id} at (${item.x}, ${item.z})`);
+    });
+}
+
+test('random queries find every brute-force neighbour', () => {
+    const random = new Random(2024);
+    const items = Array.from({ length: 300 }, (_, i) => ({ id: i, x: random.range(-30, 30), z: random.range(-30, 30) }));
+    const hash = new SpatialHash(CELL);
+    hash.rebuild(items);
+
+    for (let i = 0; i < 500; i++) {
+        assertFinds(hash, items, random.range(-32, 32), random.range(-32, 32), random.range(0.1, CELL * 3));
+    }
+});
+
+test('items and queries on cell edges', () => {
+    // Every cell corner and edge midpoint around the origin, negative side included
+    const items = [];
+    for (let i = -3; i <= 3; i++) {
+        for (let j = -3; j <= 3; j++) {
+            items.push({ id: `${i},${j}`, x: i * CELL, z: j * CELL });
+            items.push({ id: `${i}.5,${j}`, x: (i + 0.5) * CELL, z: j * CELL });
+            items.push({ id: `${i},${j}-`, x: i * CELL - 1e-9, z: j * CELL - 1e-9 });
+        }
+    }
+    const hash = new SpatialHash(CELL);
+    hash.rebuild(items);
+
+    const radii = [CELL / 2, CELL - 1e-9, CELL, CELL + 1e-9, CELL * 1.5, CELL * 2];
+    items.forEach(center => {
+        radii.forEach(radius => {
+            assertFinds(hash, items, center.x, center.z, radius);
+            assertFinds(hash, items, center.x + 1e-9, center.z - 1e-9, radius);
+        });
+    });
+});
+
+test('a neighbour just inside the radius across a cell edge is found', () => {
+    const near = { id: 'near', x: 2 * CELL + 0.001, z: 0 };
+    const far = { id: 'far', x: 3 * CELL + 0.001, z: 0 };
+    const behind = { id: 'behind', x: -0.001, z: -0.001 };
+    const hash = new SpatialHash(CELL);
+    hash.rebuild([near, far, behind]);
+
+    // From near the start of cell 1: `near` is a hair under one cell size away, in the next cell
+    assert.deepEqual(hash.query(CELL + 0.002, 0, CELL), [near]);
+    // `behind` sits a hair past the reach of this one, in a cell it does visit
+    assert.deepEqual(hash.query(CELL + 0.002, 0, CELL + 0.003), [near]);
+    assert.deepEqual(hash.query(CELL + 0.002, 0, CELL + 0.004), [behind, near]);
+});
+
+test('results are appended to `out`, and rebuild drops old items', () => {
+    const a = { id: 'a', x: 0.5, z: 0.5 };
+    const b = { id: 'b', x: 0.6, z: 0.5 };
+    const hash = new SpatialHash(CELL);
+    hash.rebuild([a]);
+
+    const out = ['existing'];
+    assert.equal(hash.query(0, 0, 1, out), out);
+    assert.deepEqual(out, ['existing', a]);
+
+    hash.rebuild([b]);
+    assert.deepEqual(hash.query(0, 0, 1), [b]);
+});